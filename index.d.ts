@@ -1,8 +1,16 @@
+import { Server } from 'http';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+
 export interface CompileConfig {
-  /** LaTeX source text (if not using texFile) */
-  tex?: string;
+  /** LaTeX source text (if not using texFile), or a latex`...` template */
+  tex?: string | LatexFragment;
   /** Path to .tex file */
   texFile?: string;
+  /** LaTeX source as a Buffer (UTF-8), instead of tex */
+  texBuffer?: Buffer;
+  /** Extra files (relative path -> content) laid out next to `tex` or `texBuffer` in a private workspace */
+  files?: Record<string, string | Buffer>;
   /** Output directory for PDF */
   outputDir?: string;
   /** Output PDF file path */
@@ -13,33 +21,603 @@ export interface CompileConfig {
   onStdout?: (data: string) => void;
   /** Callback for stderr data */
   onStderr?: (data: string) => void;
+  /** Callback for compilation stages parsed from Tectonic's notes */
+  onProgress?: (event: ProgressEvent) => void;
+  /** Kill Tectonic and resolve with status 'timeout' after this many milliseconds */
+  timeoutMs?: number;
+  /** Kill Tectonic and resolve with status 'aborted' when this signal is aborted */
+  signal?: AbortSignal;
+  /**
+   * Cache used by the module-level compile(); on a compiler instance,
+   * set to false to bypass that compiler's cache for this call
+   */
+  cache?: CompileCache | false;
+  /** Tectonic package cache directory (TECTONIC_CACHE_DIR); used by the module-level compile() */
+  cacheDir?: string;
+  /** Keep the .log file next to the output (--keep-logs) */
+  keepLogs?: boolean;
+  /** Keep .aux and other intermediate files next to the output (--keep-intermediates) */
+  keepIntermediates?: boolean;
+  /** Generate SyncTeX data (--synctex): synctexPath, or synctexBuffer with returnBuffer */
+  synctex?: boolean;
+  /** Number of TeX reruns (--reruns) */
+  reruns?: number;
+  /** Print the engine's terminal output (--print) */
+  print?: boolean;
+  /** Use only cached bundle resources (--only-cached) */
+  onlyCached?: boolean;
+  /** Local bundle file or directory (--bundle) */
+  bundle?: string;
+  /** Web bundle URL (--web-bundle) */
+  webBundle?: string;
+  /** Output format (--outfmt, default: 'pdf') */
+  outputFormat?: OutputFormat;
+  /** Unstable -Z options */
+  unstable?: TectonicUnstableOptions;
+  /**
+   * Run Tectonic with --untrusted, a minimal environment and its working directory in the job
+   * workspace, and refuse shell escape and file access outside the workspace found by scanning
+   * the source (reported as `violations`). A best-effort check, not a confinement of Tectonic.
+   */
+  sandbox?: boolean;
+  /** Shell escape (\write18) limited to an allowlist of commands */
+  shellEscape?: ShellEscapeOptions;
+  /** biber executable for biblatex documents (default: biber on PATH) */
+  biberPath?: string;
+  /**
+   * 'throw': throw a CompilationError unless the compile succeeds.
+   * 'resolve': resolve errors that would be thrown as failed results with their `code`.
+   * Default: invalid configurations and missing inputs throw, compiles that run resolve.
+   */
+  errorMode?: ErrorMode;
+  /** Custom path to Tectonic executable */
+  tectonicPath?: string;
+  /** Order of binary resolution strategies (default: ['option', 'env', 'bundled', 'path', ...registered resolvers]) */
+  resolution?: Array<ResolutionStrategy | TectonicResolver>;
+  /** Throw a TectonicNotFoundError when tectonicPath, TECTONIC_PATH or a custom resolver names a binary that does not exist */
+  strict?: boolean;
+  /** Reuse the process-wide memoized binary resolution (default: true) */
+  resolutionCache?: boolean;
+}
+
+export type OutputFormat = 'pdf' | 'xdv' | 'aux' | 'html' | 'fmt';
+
+export interface TectonicUnstableOptions {
+  /** -Z continue-on-errors */
+  continueOnErrors?: boolean;
+  /** -Z deterministic-mode */
+  deterministicMode?: boolean;
+  /** -Z min-crossrefs=<n> */
+  minCrossrefs?: number;
+  /** -Z paper-size=<name> */
+  paperSize?: string;
+  /** -Z search-path=<dir>, repeated for each entry */
+  searchPath?: string | string[];
+}
+
+export interface Artifact {
+  /** Output file path (when returnBuffer is false) */
+  path?: string;
+  /** Output contents (when returnBuffer is true) */
+  buffer?: Buffer;
+  /** Companion outputs such as other HTML pages and assets (html) */
+  files?: Array<{ name: string; path?: string; buffer?: Buffer }>;
+}
+
+export interface Diagnostic {
+  severity: 'error' | 'warning';
+  /** Source file name; `<input>` for `tex` string input */
+  file: string | null;
+  /** 1-based line number, if known */
+  line: number | null;
+  message: string;
+  /** Short code frame around the offending line (errors only; sources outside the document's directory are not read) */
+  context: string | null;
+}
+
+export interface ShellEscapeOptions {
+  enabled: boolean;
+  /** Commands that may run, by name (looked up on PATH) or path, e.g. ['pygmentize', 'gnuplot'] */
+  allowedCommands?: string[];
+  /** Working directory for the commands (default: the job workspace) */
+  cwd?: string;
+}
+
+export interface ShellEscapeInvocation {
+  /** Command line TeX asked the shell to run */
+  commandLine: string;
+  /** Command name; null if the command line was refused before parsing a command */
+  command: string | null;
+  args: string[];
+  allowed: boolean;
+  /** 127 for refused commands */
+  exitCode: number;
+  error?: string;
+}
+
+export interface PolicyViolation {
+  rule: 'absolute-path' | 'parent-path' | 'indirect-path' | 'forbidden-command' | 'shell-escape';
+  /** Offending command, e.g. `\\input`; null for option violations */
+  command: string | null;
+  /** Referenced path */
+  path: string | null;
+  /** Source file name; `<input>` for `tex` string input */
+  file: string | null;
+  line: number | null;
+  message: string;
+  context: string | null;
+}
+
+export type ErrorMode = 'throw' | 'resolve';
+
+/**
+ * Binary resolution strategy: 'option' (tectonicPath), 'env' (TECTONIC_PATH),
+ * 'bundled' (bin/ directories and runtime packages), 'path' (PATH), or a registered resolver name
+ */
+export type ResolutionStrategy = 'option' | 'env' | 'bundled' | 'path' | (string & {});
+
+/**
+ * Custom resolver: returns the path to a Tectonic executable, or null.
+ * Only resolveTectonicExecutableAsync() waits for a returned Promise.
+ */
+export type TectonicResolver = (options: ResolveOptions) => string | null | Promise<string | null>;
+
+export interface ResolveOptions {
   /** Custom path to Tectonic executable */
   tectonicPath?: string;
+  /** Order of binary resolution strategies */
+  resolution?: Array<ResolutionStrategy | TectonicResolver>;
+  /** Fail when tectonicPath, TECTONIC_PATH or a custom resolver names a binary that does not exist */
+  strict?: boolean;
 }
 
+export type ErrorCode =
+  | 'TECTONIC_NOT_FOUND'
+  | 'INPUT_NOT_FOUND'
+  | 'INVALID_CONFIG'
+  | 'FILESYSTEM_CONFLICT'
+  | 'QUEUE_FULL'
+  | 'COMPILATION_FAILED'
+  | 'COMPILATION_TIMEOUT'
+  | 'COMPILATION_ABORTED';
+
 export interface CompileResult {
-  status: 'success' | 'failed';
+  status: 'success' | 'failed' | 'timeout' | 'aborted';
+  /** Error code of an unsuccessful compile (with errorMode 'resolve', also of errors that would have been thrown) */
+  code?: ErrorCode | string;
   pdfPath?: string;
   pdfBuffer?: Buffer;
   exitCode?: number;
   error?: string;
   stdout?: string;
   stderr?: string;
+  /** Errors and warnings parsed from Tectonic output */
+  diagnostics?: Diagnostic[];
+  /** True when the PDF was served from the compile cache without running Tectonic */
+  fromCache?: boolean;
+  /** Output produced for the requested outputFormat, keyed by format */
+  artifacts?: Partial<Record<OutputFormat, Artifact>>;
+  /** Kept .log file (keepLogs) */
+  logPath?: string;
+  /** Kept .synctex.gz file (synctex) */
+  synctexPath?: string;
+  /** SyncTeX data (synctex with returnBuffer) */
+  synctexBuffer?: Buffer;
+  /** Kept intermediate files (keepIntermediates) */
+  intermediates?: string[];
+  /** Sandbox policy violations that stopped the compile (sandbox) */
+  violations?: PolicyViolation[];
+  /** Files TeX could not find (e.g. packages missing from the cache or bundle); `error` names them */
+  missingFiles?: string[];
+  /** Every \write18 command TeX issued (shellEscape) */
+  shellEscapeInvocations?: ShellEscapeInvocation[];
 }
 
 export interface CompilerOptions {
   tectonicPath?: string;
+  /** Compile cache instance, options for a new one, or true for an in-memory cache */
+  cache?: CompileCache | CompileCacheOptions | boolean;
+  /** Tectonic package cache directory, passed as TECTONIC_CACHE_DIR */
+  cacheDir?: string;
+  /** Default local bundle file or directory for every compile (--bundle) */
+  bundle?: string;
+  /** Default to cached bundle resources only (--only-cached) */
+  onlyCached?: boolean;
+  /** Default biber executable for biblatex documents */
+  biberPath?: string;
+  /** Default errorMode for every compile */
+  errorMode?: ErrorMode;
+  /** Order of binary resolution strategies */
+  resolution?: Array<ResolutionStrategy | TectonicResolver>;
+  /** Fail when tectonicPath, TECTONIC_PATH or a custom resolver names a binary that does not exist */
+  strict?: boolean;
+  /** Reuse the process-wide memoized binary resolution (default: true); false looks the binary up again */
+  resolutionCache?: boolean;
+}
+
+export interface CompileCacheOptions {
+  /** Maximum in-memory entries (default: 100, 0 disables the memory tier) */
+  maxEntries?: number;
+  /** Directory for the on-disk tier */
+  dir?: string;
+}
+
+export interface CompileCacheSize {
+  memory: { entries: number; bytes: number };
+  disk: { entries: number; bytes: number } | null;
+}
+
+export interface CompileCachePruneOptions {
+  maxEntries?: number;
+  maxBytes?: number;
+  /** Remove disk entries not used for this long */
+  maxAgeMs?: number;
+}
+
+export declare class CompileCache {
+  constructor(options?: CompileCacheOptions);
+  size(): CompileCacheSize;
+  /** Remove least recently used entries until the limits are met; returns the number removed */
+  prune(options?: CompileCachePruneOptions): number;
+  clear(): void;
+}
+
+export interface WatchConfig extends CompileConfig {
+  texFile: string;
+  /** Delay after the last change before recompiling (default: 100) */
+  debounceMs?: number;
+}
+
+export type ProgressStage = 'tex-pass' | 'bibtex' | 'biber' | 'xdvipdfmx' | 'downloading-package' | 'done';
+
+export interface ProgressEvent {
+  stage: ProgressStage;
+  /** Tectonic's note, e.g. 'Rerunning TeX because "doc.aux" changed ...' */
+  message?: string;
+  /** TeX pass number, counted from 1 across the whole compile (tex-pass) */
+  pass?: number;
+  /** Package being downloaded, e.g. 'amsmath' (downloading-package) */
+  package?: string;
+  /** File being downloaded, e.g. 'amsmath.sty' (downloading-package) */
+  file?: string;
+  /** Final status of the compile (done) */
+  status?: CompileResult['status'];
+  /** The result came from the compile cache (done) */
+  fromCache?: boolean;
+}
+
+/** Returned by compileWithEvents(); the compile starts on the next tick */
+export interface CompileEvents extends EventEmitter {
+  on(event: 'progress', listener: (event: ProgressEvent) => void): this;
+  on(event: 'stdout', listener: (data: string) => void): this;
+  on(event: 'stderr', listener: (data: string) => void): this;
+  on(event: 'result', listener: (result: CompileResult) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+}
+
+export declare class CompileWatcher extends EventEmitter {
+  /** Stop watching and cancel any compile in flight */
+  close(): void;
+  /** Absolute paths of the main file and the inputs currently watched */
+  getWatchedFiles(): string[];
+  on(event: 'compile-start', listener: (info: { file: string | null }) => void): this;
+  on(event: 'compile-success', listener: (result: CompileResult) => void): this;
+  on(event: 'compile-error', listener: (resultOrError: CompileResult | Error) => void): this;
+  on(event: 'close', listener: () => void): this;
+}
+
+export interface BuildConfig {
+  /** Directory containing Tectonic.toml */
+  projectDir: string;
+  /** Names of the outputs to build (default: every [[output]] in Tectonic.toml) */
+  outputs?: string[];
+  keepLogs?: boolean;
+  keepIntermediates?: boolean;
+  onlyCached?: boolean;
+  onStdout?: (data: string) => void;
+  onStderr?: (data: string) => void;
+  /** Per-output timeout in milliseconds */
+  timeoutMs?: number;
+  signal?: AbortSignal;
+}
+
+export interface BuildOutputResult {
+  status: 'success' | 'failed' | 'timeout' | 'aborted';
+  /** Output type declared in Tectonic.toml */
+  type: 'pdf' | 'html';
+  artifacts: Partial<Record<OutputFormat, Artifact>>;
+  diagnostics: Diagnostic[];
+  exitCode?: number;
+  error?: string;
+  stdout?: string;
+  stderr?: string;
+  missingFiles?: string[];
+}
+
+export interface BuildResult {
+  /** 'success' if every output built, otherwise the status of the first that did not */
+  status: 'success' | 'failed' | 'timeout' | 'aborted';
+  projectDir: string;
+  outputs: Record<string, BuildOutputResult>;
+}
+
+export interface NewProjectResult {
+  status: 'success' | 'failed' | 'timeout' | 'aborted';
+  projectDir: string;
+  exitCode?: number;
+  error?: string;
+  stdout?: string;
+  stderr?: string;
+  diagnostics?: Diagnostic[];
 }
 
 export declare class LatexCompiler {
   constructor(options?: CompilerOptions);
+  cache: CompileCache | null;
   isAvailable(): boolean;
   getVersion(): Promise<string | null>;
   compile(config: CompileConfig): Promise<CompileResult>;
+  /** Compile and report 'progress', 'stdout', 'stderr', 'result' and 'error' events */
+  compileWithEvents(config: CompileConfig): CompileEvents;
+  /** Compile LaTeX read from a stream; see compileStream() */
+  compileStream(readable: NodeJS.ReadableStream, options?: CompileStreamOptions): Readable;
+  /** Recompile whenever texFile or anything it pulls in changes */
+  watch(config: WatchConfig): CompileWatcher;
+  /** Build the outputs of a Tectonic V2 workspace (tectonic -X build) */
+  build(config: BuildConfig): Promise<BuildResult>;
+  /** Create a Tectonic V2 workspace (tectonic -X new) */
+  newProject(dir: string): Promise<NewProjectResult>;
+}
+
+export interface CompilerPoolOptions extends CompilerOptions {
+  /** Maximum number of Tectonic processes at once (default: CPU count) */
+  maxConcurrent?: number;
+  /** Maximum number of waiting jobs before compile() rejects with a QueueFullError (default: unlimited) */
+  maxQueue?: number;
+}
+
+export interface CompileJobOptions {
+  /** Higher priority jobs run first (default: 0) */
+  priority?: number;
+}
+
+export interface CompilerPoolStats {
+  running: number;
+  queued: number;
+  maxConcurrent: number;
+  maxQueue: number;
+  completed: number;
+  failed: number;
+  rejected: number;
+}
+
+export declare class CompilerPool {
+  constructor(options?: CompilerPoolOptions);
+  compile(config: CompileConfig, jobOptions?: CompileJobOptions): Promise<CompileResult>;
+  stats(): CompilerPoolStats;
+}
+
+export interface ServerOptions extends CompilerOptions {
+  /** Maximum request body size in bytes (default: 10 MiB) */
+  maxBodyBytes?: number;
+  /** Maximum concurrent compilations (default: CPU count) */
+  maxConcurrent?: number;
+  /** Maximum queued compilations before responding 503 (default: unlimited) */
+  maxQueue?: number;
+  /** Per-compilation timeout in milliseconds (default: 60000) */
+  timeoutMs?: number;
+  /** Compile request bodies in sandbox mode (default: true) */
+  sandbox?: boolean;
+}
+
+export interface SyncTeXRect {
+  page: number;
+  /** Points from the left edge of the page */
+  x: number;
+  /** Points from the top edge of the page */
+  y: number;
+  w: number;
+  h: number;
+}
+
+export declare class SyncTeX {
+  /** Input file names by tag; `<input>` for `tex` string input */
+  inputs: Record<string, string>;
+  /** Where a source line was typeset (nearest line with output if the line has none) */
+  forward(file: string, line: number): SyncTeXRect | null;
+  /** The source line typeset at a point of a page (points from the top-left corner) */
+  inverse(page: number, x: number, y: number): { file: string; line: number } | null;
 }
 
+export declare const synctex: {
+  /** Parse .synctex or .synctex.gz data */
+  load(buffer: Buffer | string): SyncTeX;
+  SyncTeX: typeof SyncTeX;
+};
+
+/** LaTeX source from latex`...` or raw(), inserted into templates without escaping */
+export interface LatexFragment {
+  toString(): string;
+}
+
+/**
+ * Tagged template for LaTeX source. The template text is kept as written (like String.raw);
+ * interpolated values are escaped, arrays are joined, and LatexFragments are inserted as they are.
+ */
+export declare function latex(strings: TemplateStringsArray, ...values: unknown[]): LatexFragment;
+/** Escape text for LaTeX; null, undefined and false become '' */
+export declare function escapeLatex(value: unknown): string;
+/** Mark LaTeX source as trusted for latex`...` */
+export declare function raw(source: unknown): LatexFragment;
+
 export declare function createCompiler(options?: CompilerOptions): LatexCompiler;
+export declare function createCompilerPool(options?: CompilerPoolOptions): CompilerPool;
+export declare function createCompileCache(options?: CompileCacheOptions): CompileCache;
+/** Create an HTTP compile service exposing POST /compile and GET /health (not yet listening) */
+export declare function createServer(options?: ServerOptions): Server & { pool: CompilerPool };
 export declare function compile(config: CompileConfig): Promise<CompileResult>;
+
+/** Compile options for compileStream(); input and output are the streams */
+export type CompileStreamOptions = Omit<CompileConfig, 'tex' | 'texFile' | 'texBuffer' | 'outputDir' | 'outputFile' | 'returnBuffer' | 'outputFormat'>;
+
+/** Base class of the errors thrown by the compiler */
+export declare class LatexCompilerError extends Error {
+  code: ErrorCode;
+}
+
+/** The Tectonic executable could not be found */
+export declare class TectonicNotFoundError extends LatexCompilerError {
+  code: 'TECTONIC_NOT_FOUND';
+  tectonicPath: string | null;
+  /** Where tectonicPath came from: 'tectonicPath', 'TECTONIC_PATH' or a resolver name */
+  source: string | null;
+}
+
+/** A file or directory named in the configuration does not exist */
+export declare class InputNotFoundError extends LatexCompilerError {
+  code: 'INPUT_NOT_FOUND';
+  /** The missing path (or shell escape command) */
+  path: string;
+  /** Option that named it, e.g. 'texFile', 'bundle', 'biberPath' */
+  option: string | null;
+}
+
+/** An option is missing, has the wrong type or conflicts with another option */
+export declare class InvalidConfigError extends LatexCompilerError {
+  code: 'INVALID_CONFIG';
+  /** Offending option, e.g. 'timeoutMs' or 'unstable.searchPath' */
+  option: string | null;
+}
+
+/** A file is in the way of a directory the compiler needs (ENOTDIR) */
+export declare class FilesystemConflictError extends LatexCompilerError {
+  code: 'FILESYSTEM_CONFLICT';
+  /** The file that is not a directory */
+  path: string;
+  /** The directory that could not be created */
+  targetPath: string;
+}
+
+/** A compiler pool already has maxQueue jobs waiting */
+export declare class QueueFullError extends LatexCompilerError {
+  code: 'QUEUE_FULL';
+  maxQueue: number;
+}
+
+/** A compile did not succeed (errorMode 'throw', and compileStream() streams) */
+export declare class CompilationError extends LatexCompilerError {
+  code: 'COMPILATION_FAILED' | 'COMPILATION_TIMEOUT' | 'COMPILATION_ABORTED';
+  status: 'failed' | 'timeout' | 'aborted';
+  exitCode: number | null;
+  diagnostics: Diagnostic[];
+  result: CompileResult;
+}
+
+/**
+ * Compile LaTeX read from a stream and stream the PDF back.
+ * The stream emits 'result' with the CompileResult before any data; failed compiles
+ * destroy it with a CompilationError.
+ */
+export declare function compileStream(readable: NodeJS.ReadableStream, options?: CompileStreamOptions): Readable;
 export declare function isAvailable(options?: CompilerOptions): boolean;
 export declare function getVersion(options?: CompilerOptions): Promise<string | null>;
 
+export interface DiagnoseOptions {
+  /** Custom Tectonic path */
+  tectonicPath?: string;
+  /** Order of binary resolution strategies */
+  resolution?: Array<ResolutionStrategy | TectonicResolver>;
+  /** Resolve in strict mode; the error is reported as tectonic.error */
+  strict?: boolean;
+  /** Tectonic package cache directory */
+  cacheDir?: string;
+  /** Set to false to skip the smoke compile */
+  smokeTest?: boolean;
+  /** Time limit for the smoke compile (default: 120000) */
+  timeoutMs?: number;
+}
+
+/** A place resolveTectonicExecutable() looks for Tectonic */
+export interface TectonicCandidate {
+  /** Resolution strategy that produced the candidate */
+  strategy: string;
+  /** 'tectonicPath', 'TECTONIC_PATH', 'local-bin', 'runtime-package', 'PATH' or a custom resolver name */
+  source: string;
+  /** null when the source yields no path (runtime package not installed, not on PATH) */
+  path: string | null;
+  /** Runtime package name, for source 'runtime-package' */
+  package?: string;
+  exists: boolean;
+  executable: boolean;
+  /** Version reported by `tectonic --help` */
+  version: string | null;
+  /** Whether this is the binary compiles use */
+  selected: boolean;
+}
+
+export interface DirectoryCheck {
+  path: string;
+  /** false if the directory does not exist yet */
+  exists: boolean;
+  /** Whether the directory can be written to (or created) */
+  writable: boolean;
+  error: string | null;
+}
+
+export interface DiagnoseReport {
+  /** Tectonic was found and runs, the temp directory is writable and the smoke compile succeeded */
+  ok: boolean;
+  platform: {
+    platform: string;
+    arch: string;
+    /** 'glibc' or 'musl' on Linux */
+    libc: 'glibc' | 'musl' | null;
+    node: string;
+    /** Runtime package for this platform, or null if there is none */
+    runtimePackage: string | null;
+  };
+  tectonic: {
+    path: string | null;
+    source: TectonicCandidate['source'] | null;
+    version: string | null;
+    /** Resolution error (strict mode or an invalid resolution option) */
+    error: string | null;
+  };
+  /** Candidates in resolution order */
+  candidates: TectonicCandidate[];
+  /** Root of the per-job workspaces */
+  tempDir: DirectoryCheck;
+  /** Tectonic's package cache; source tells whether it comes from options, TECTONIC_CACHE_DIR or the default */
+  cacheDir: DirectoryCheck & { source: 'option' | 'env' | 'default' };
+  smokeTest: {
+    status: 'success' | 'failed' | 'timeout' | 'aborted' | 'skipped';
+    durationMs: number | null;
+    error: string | null;
+  };
+}
+
+/**
+ * Register a custom binary resolver. It runs after the built-in strategies,
+ * unless `resolution` names it elsewhere.
+ */
+export declare function registerResolver(name: string, resolver: TectonicResolver): void;
+/** Remove a resolver added with registerResolver() */
+export declare function unregisterResolver(name: string): boolean;
+
+/**
+ * Resolve the Tectonic executable without blocking the event loop.
+ * The result is memoized for the process until invalidate() is called.
+ */
+export declare const resolveTectonicExecutableAsync: {
+  (options?: ResolveOptions): Promise<string | null>;
+  /** Same as invalidate() */
+  invalidate(): void;
+};
+/** Forget memoized binary resolutions, e.g. after installing or moving Tectonic */
+export declare function invalidate(): void;
+
+/** Report how the Tectonic binary is found and whether compiling works */
+export declare function diagnose(options?: DiagnoseOptions): Promise<DiagnoseReport>;
+/** Format a diagnose() report as text, as printed by `node-latex-compiler doctor` */
+export declare function formatDiagnosis(report: DiagnoseReport): string;
+
@@ -2,31 +2,94 @@
 'use strict'
 
 const LatexCompiler = require('./lib/latex-compiler')
+const CompilerPool = require('./lib/compiler-pool')
+const CompileCache = require('./lib/compile-cache')
+const CompileWatcher = require('./lib/watcher')
+const { createServer } = require('./lib/server')
+const synctex = require('./lib/synctex')
+const { latex, escapeLatex, raw } = require('./lib/latex-template')
 const platformResolver = require('./lib/platform-resolver')
+const { registerResolver, unregisterResolver, resolveTectonicExecutableAsync, invalidate } = platformResolver
+const doctor = require('./lib/doctor')
+const {
+  LatexCompilerError,
+  TectonicNotFoundError,
+  InputNotFoundError,
+  InvalidConfigError,
+  FilesystemConflictError,
+  QueueFullError,
+  CompilationError
+} = require('./lib/errors')
 
 /**
  * Create a Tectonic compiler instance
  * 
  * @param {Object} [options] - Options
  * @param {string} [options.tectonicPath] - Custom path to Tectonic executable
+ * @param {CompileCache|Object|boolean} [options.cache] - Compile cache instance, or options for a new one
+ * @param {string} [options.cacheDir] - Tectonic package cache directory (TECTONIC_CACHE_DIR)
+ * @param {string} [options.bundle] - Default local bundle (--bundle)
+ * @param {boolean} [options.onlyCached] - Default to cached resources only (--only-cached)
+ * @param {string} [options.biberPath] - Default biber executable for biblatex documents
+ * @param {string} [options.errorMode] - Default errorMode for every compile ('throw' or 'resolve')
+ * @param {Array<string|Function>} [options.resolution] - Binary resolution order ('option', 'env', 'bundled', 'path', registered resolvers)
+ * @param {boolean} [options.strict] - Fail when tectonicPath, TECTONIC_PATH or a custom resolver names a missing binary
+ * @param {boolean} [options.resolutionCache] - Reuse the memoized binary resolution (default: true)
  * @returns {LatexCompiler} - Compiler instance
  */
 function createCompiler (options) {
   return new LatexCompiler(options)
 }
 
+/**
+ * Create a compiler pool that runs at most `maxConcurrent` compilations at once
+ * 
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxConcurrent] - Maximum concurrent Tectonic processes (default: CPU count)
+ * @param {number} [options.maxQueue] - Maximum number of queued jobs (default: unlimited)
+ * @param {string} [options.tectonicPath] - Custom path to Tectonic executable
+ * @returns {CompilerPool} - Compiler pool instance
+ */
+function createCompilerPool (options) {
+  return new CompilerPool(options)
+}
+
+/**
+ * Create a content-addressed compile cache that can be shared between compilers
+ * 
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxEntries] - Maximum in-memory entries (default: 100)
+ * @param {string} [options.dir] - Directory for the on-disk tier
+ * @returns {CompileCache} - Cache instance
+ */
+function createCompileCache (options) {
+  return new CompileCache(options)
+}
+
 /**
  * Compile LaTeX to PDF (convenience function)
  * 
  * @param {Object} config - Compilation configuration
- * @param {string} [config.tex] - LaTeX source text
+ * @param {string|LatexFragment} [config.tex] - LaTeX source text, or a latex`...` template
  * @param {string} [config.texFile] - Path to .tex file
+ * @param {Buffer} [config.texBuffer] - LaTeX source as a Buffer
+ * @param {Object<string, string|Buffer>} [config.files] - Extra files laid out next to `tex`
  * @param {string} [config.outputDir] - Output directory
  * @param {string} [config.outputFile] - Output PDF file path
  * @param {boolean} [config.returnBuffer] - Return PDF as Buffer
  * @param {Function} [config.onStdout] - Callback for stdout
  * @param {Function} [config.onStderr] - Callback for stderr
+ * @param {Function} [config.onProgress] - Callback for compilation stages (tex-pass, bibtex, biber, xdvipdfmx, downloading-package, done)
+ * @param {number} [config.timeoutMs] - Timeout in milliseconds (resolves with status 'timeout')
+ * @param {AbortSignal} [config.signal] - Abort signal (resolves with status 'aborted')
+ * @param {CompileCache} [config.cache] - Cache to serve identical compilations from
+ * @param {boolean} [config.sandbox] - Refuse shell escape and file access outside the workspace found in the source
+ * @param {Object} [config.shellEscape] - Shell escape limited to an allowlist: { enabled, allowedCommands, cwd }
+ * @param {string} [config.biberPath] - biber executable for biblatex documents (default: biber on PATH)
+ * @param {string} [config.errorMode] - 'throw' (CompilationError unless successful) or 'resolve' (errors as failed results)
  * @param {string} [config.tectonicPath] - Custom Tectonic path
+ * @param {Array<string|Function>} [config.resolution] - Binary resolution order
+ * @param {boolean} [config.strict] - Fail when an explicitly named Tectonic binary does not exist
  * @returns {Promise<Object>} - Compilation result
  */
 async function compile (config) {
@@ -34,6 +97,18 @@ async function compile (config) {
   return compiler.compile(config)
 }
 
+/**
+ * Compile LaTeX read from a stream and stream the PDF back (convenience function)
+ * 
+ * @param {stream.Readable} readable - LaTeX source
+ * @param {Object} [options] - Compile options as for compile(), without input and output options
+ * @returns {stream.Readable} - PDF stream; emits 'result' before data, errors carry the compile result as `result`
+ */
+function compileStream (readable, options) {
+  const compiler = createCompiler(options)
+  return compiler.compileStream(readable, options)
+}
+
 /**
  * Check if Tectonic is available
  * 
@@ -66,12 +141,54 @@ async function getVersion (options) {
   }
 }
 
+/**
+ * Report how the Tectonic binary is found and whether compiling works
+ * Lists every candidate location with whether it exists, is executable and its version,
+ * the platform, the temp and cache directories, and the result of a smoke compile.
+ * 
+ * @param {Object} [options] - Options
+ * @param {string} [options.tectonicPath] - Custom Tectonic path
+ * @param {Array<string|Function>} [options.resolution] - Binary resolution order
+ * @param {boolean} [options.strict] - Resolve in strict mode; the error is reported as tectonic.error
+ * @param {string} [options.cacheDir] - Tectonic package cache directory
+ * @param {boolean} [options.smokeTest] - Set to false to skip the smoke compile
+ * @param {number} [options.timeoutMs] - Time limit for the smoke compile
+ * @returns {Promise<Object>} - Report; format it with formatDiagnosis()
+ */
+async function diagnose (options) {
+  return doctor.diagnose(options)
+}
+
 module.exports = {
   createCompiler,
+  createCompilerPool,
+  createCompileCache,
+  createServer,
   compile,
+  compileStream,
   isAvailable,
   getVersion,
+  diagnose,
+  formatDiagnosis: doctor.formatReport,
+  registerResolver,
+  unregisterResolver,
+  resolveTectonicExecutableAsync,
+  invalidate,
   LatexCompiler,
+  CompilerPool,
+  CompileCache,
+  CompileWatcher,
+  synctex,
+  latex,
+  escapeLatex,
+  raw,
+  LatexCompilerError,
+  TectonicNotFoundError,
+  InputNotFoundError,
+  InvalidConfigError,
+  FilesystemConflictError,
+  QueueFullError,
+  CompilationError,
   platformResolver
 }
 
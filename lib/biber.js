@@ -0,0 +1,49 @@
+'use strict'
+
+const path = require('path')
+
+// Maximum number of TeX passes when running biber between them
+const MAX_BIBER_PASSES = 4
+
+// Biber log lines, e.g. "WARN - I didn't find a database entry for 'knuth' (section 0)"
+const BIBER_LINE_RE = /^(WARN|ERROR) - (.*)$/
+
+// Problems in .bib files, e.g. "BibTeX subsystem: /tmp/biber_tmp/refs.bib_1234.utf8, line 5, syntax error: ..."
+const BIBTEX_SUBSYSTEM_RE = /^BibTeX subsystem: (.+?)(?:_\d+\.utf8)?, line (\d+), (.*)$/
+
+/**
+ * Parse biber's warnings and errors into diagnostics
+ *
+ * @param {string} output - Biber stdout/stderr
+ * @returns {Array<Object>} - Array of { severity, file, line, message, context }
+ */
+function parseBiberOutput (output) {
+  const diagnostics = []
+  for (const text of (output || '').split(/\r?\n/)) {
+    const match = text.match(BIBER_LINE_RE)
+    if (!match) {
+      continue
+    }
+    const diagnostic = {
+      severity: match[1] === 'ERROR' ? 'error' : 'warning',
+      file: null,
+      line: null,
+      message: `biber: ${match[2].trim()}`,
+      context: null
+    }
+    const bibMatch = match[2].match(BIBTEX_SUBSYSTEM_RE)
+    if (bibMatch) {
+      // Biber reports a temporary copy of the .bib file; keep only its name
+      diagnostic.file = path.basename(bibMatch[1])
+      diagnostic.line = parseInt(bibMatch[2], 10)
+      diagnostic.message = `biber: ${bibMatch[3].trim()}`
+    }
+    diagnostics.push(diagnostic)
+  }
+  return diagnostics
+}
+
+module.exports = {
+  MAX_BIBER_PASSES,
+  parseBiberOutput
+}
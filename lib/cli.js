@@ -0,0 +1,325 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { compile, getVersion, diagnose, formatDiagnosis } = require('../index')
+const platformResolver = require('./platform-resolver')
+const { TectonicNotFoundError } = require('./errors')
+const pkg = require('../package.json')
+
+/**
+ * Process exit codes used by the CLI
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  COMPILE_FAILED: 1,
+  USAGE: 2,
+  BINARY_NOT_FOUND: 3
+}
+
+const USAGE = `Usage: node-latex-compiler <command> [options]
+
+Commands:
+  compile <file.tex>        Compile a LaTeX file to PDF
+  version                   Print package and Tectonic versions
+  which                     Print the resolved Tectonic binary path
+  doctor                    Check the Tectonic binary, directories and a test compile
+  help                      Show this help
+
+Doctor options:
+  --json                    Print the report as JSON
+  --no-smoke-test           Skip the test compile
+  --tectonic-path <path>    Check a specific Tectonic executable first
+  --strict                  Fail if --tectonic-path or TECTONIC_PATH does not exist
+
+Compile options:
+  -o, --output <file>       Output PDF path ("-" writes the PDF to stdout)
+  --outdir <dir>            Output directory
+  --stdin                   Read LaTeX source from stdin instead of a file
+  --json                    Print the result as JSON
+  --timeout <ms>            Kill Tectonic after this many milliseconds
+  --tectonic-path <path>    Use a specific Tectonic executable
+  --strict                  Fail if --tectonic-path or TECTONIC_PATH does not exist
+                            instead of falling back to other binaries
+
+Environment:
+  TECTONIC_PATH             Tectonic executable to use when --tectonic-path is not given
+
+Exit codes:
+  0  success
+  1  compilation failed
+  2  bad usage
+  3  Tectonic binary not found
+`
+
+// Options that take a value
+const VALUE_OPTIONS = {
+  '-o': 'output',
+  '--output': 'output',
+  '--outdir': 'outdir',
+  '--timeout': 'timeout',
+  '--tectonic-path': 'tectonicPath'
+}
+
+// Options that are boolean flags
+const FLAG_OPTIONS = {
+  '--stdin': 'stdin',
+  '--json': 'json',
+  '--no-smoke-test': 'noSmokeTest',
+  '--strict': 'strict',
+  '-h': 'help',
+  '--help': 'help'
+}
+
+/**
+ * Error raised for invalid command-line usage
+ * @private
+ */
+function usageError (message) {
+  const error = new Error(message)
+  error.exitCode = EXIT_CODES.USAGE
+  return error
+}
+
+/**
+ * Parse command-line arguments
+ *
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {Object} - { command, positionals, options }
+ */
+function parseArgs (argv) {
+  const options = {}
+  const positionals = []
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '-' || !arg.startsWith('-')) {
+      positionals.push(arg)
+      continue
+    }
+
+    const eqIndex = arg.indexOf('=')
+    const name = eqIndex === -1 ? arg : arg.slice(0, eqIndex)
+    if (Object.prototype.hasOwnProperty.call(VALUE_OPTIONS, name)) {
+      let value
+      if (eqIndex !== -1) {
+        value = arg.slice(eqIndex + 1)
+      } else {
+        value = argv[++i]
+        if (value === undefined) {
+          throw usageError(`Option ${name} requires a value`)
+        }
+      }
+      options[VALUE_OPTIONS[name]] = value
+    } else if (Object.prototype.hasOwnProperty.call(FLAG_OPTIONS, name) && eqIndex === -1) {
+      options[FLAG_OPTIONS[name]] = true
+    } else {
+      throw usageError(`Unknown option: ${arg}`)
+    }
+  }
+
+  return {
+    command: positionals.shift() || null,
+    positionals,
+    options
+  }
+}
+
+/**
+ * Read all of a stream into a string
+ * @private
+ */
+function readStream (stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)))
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')))
+    stream.on('error', reject)
+  })
+}
+
+/**
+ * Format diagnostics for terminal output
+ * @private
+ */
+function formatDiagnostics (diagnostics) {
+  return diagnostics.map((d) => {
+    const location = d.file ? `${d.file}${d.line ? `:${d.line}` : ''}: ` : ''
+    const header = `${location}${d.severity}: ${d.message}`
+    return d.context ? `${header}\n${d.context}` : header
+  }).join('\n')
+}
+
+/**
+ * Run the compile command
+ * @private
+ */
+async function runCompile (positionals, options, io) {
+  if (options.stdin && positionals.length > 0) {
+    throw usageError('compile takes either a file or --stdin, not both')
+  }
+  if (!options.stdin && positionals.length !== 1) {
+    throw usageError('compile requires exactly one .tex file (or --stdin)')
+  }
+  if (options.json && options.output === '-') {
+    throw usageError('--json cannot be combined with -o -')
+  }
+
+  let timeoutMs
+  if (options.timeout !== undefined) {
+    timeoutMs = Number(options.timeout)
+    if (!(timeoutMs > 0)) {
+      throw usageError(`Invalid --timeout: ${options.timeout}`)
+    }
+  }
+
+  if (!platformResolver.resolveTectonicExecutable({ tectonicPath: options.tectonicPath, strict: options.strict })) {
+    io.stderr.write('Tectonic executable not found. Install @node-latex-compiler/bin-* for your platform or pass --tectonic-path.\n')
+    return EXIT_CODES.BINARY_NOT_FOUND
+  }
+
+  const config = {
+    outputDir: options.outdir ? path.resolve(options.outdir) : undefined,
+    timeoutMs,
+    tectonicPath: options.tectonicPath,
+    strict: options.strict
+  }
+
+  if (options.stdin) {
+    config.tex = await readStream(io.stdin)
+    if (!config.tex) {
+      throw usageError('No LaTeX source received on stdin')
+    }
+  } else {
+    config.texFile = path.resolve(positionals[0])
+    if (!fs.existsSync(config.texFile)) {
+      throw usageError(`File not found: ${positionals[0]}`)
+    }
+  }
+
+  if (options.output === '-') {
+    config.returnBuffer = true
+  } else if (options.output) {
+    config.outputFile = path.resolve(options.output)
+  } else if (options.stdin) {
+    // Same default job name TeX uses for terminal input
+    config.outputFile = path.join(config.outputDir || process.cwd(), 'texput.pdf')
+  }
+
+  const result = await compile(config)
+
+  if (options.json) {
+    io.stdout.write(JSON.stringify({
+      status: result.status,
+      pdfPath: result.pdfPath || null,
+      exitCode: result.exitCode !== undefined ? result.exitCode : null,
+      error: result.error || null,
+      diagnostics: result.diagnostics || []
+    }, null, 2) + '\n')
+  } else {
+    const diagnostics = result.diagnostics || []
+    if (diagnostics.length > 0) {
+      io.stderr.write(formatDiagnostics(diagnostics) + '\n')
+    }
+    if (result.status === 'success') {
+      if (result.pdfBuffer) {
+        io.stdout.write(result.pdfBuffer)
+      } else {
+        io.stdout.write(`${result.pdfPath}\n`)
+      }
+    } else {
+      if (diagnostics.length === 0 && result.stderr) {
+        io.stderr.write(result.stderr)
+      }
+      io.stderr.write(`Compilation ${result.status}${result.error ? `: ${result.error}` : ''}\n`)
+    }
+  }
+
+  return result.status === 'success' ? EXIT_CODES.SUCCESS : EXIT_CODES.COMPILE_FAILED
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [io] - Streams to use (default: process streams)
+ * @returns {Promise<number>} - Exit code
+ */
+async function run (argv, io) {
+  io = Object.assign({
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr
+  }, io)
+
+  try {
+    const { command, positionals, options } = parseArgs(argv)
+
+    if (options.help || command === 'help') {
+      io.stdout.write(USAGE)
+      return EXIT_CODES.SUCCESS
+    }
+
+    switch (command) {
+      case 'compile':
+        return await runCompile(positionals, options, io)
+
+      case 'version': {
+        const tectonicPath = platformResolver.resolveTectonicExecutable({ tectonicPath: options.tectonicPath, strict: options.strict })
+        const version = tectonicPath ? await getVersion({ tectonicPath }) : null
+        io.stdout.write(`node-latex-compiler ${pkg.version}\n`)
+        if (!version) {
+          io.stderr.write('Tectonic executable not found\n')
+          return EXIT_CODES.BINARY_NOT_FOUND
+        }
+        io.stdout.write(`tectonic ${version}\n`)
+        return EXIT_CODES.SUCCESS
+      }
+
+      case 'doctor': {
+        if (positionals.length > 0) {
+          throw usageError('doctor takes no arguments')
+        }
+        const report = await diagnose({ tectonicPath: options.tectonicPath, strict: options.strict, smokeTest: !options.noSmokeTest })
+        io.stdout.write(options.json ? JSON.stringify(report, null, 2) + '\n' : formatDiagnosis(report))
+        if (report.ok) {
+          return EXIT_CODES.SUCCESS
+        }
+        return report.tectonic.path ? EXIT_CODES.COMPILE_FAILED : EXIT_CODES.BINARY_NOT_FOUND
+      }
+
+      case 'which': {
+        const tectonicPath = platformResolver.resolveTectonicExecutable({ tectonicPath: options.tectonicPath, strict: options.strict })
+        if (!tectonicPath) {
+          io.stderr.write('Tectonic executable not found\n')
+          return EXIT_CODES.BINARY_NOT_FOUND
+        }
+        io.stdout.write(`${tectonicPath}\n`)
+        return EXIT_CODES.SUCCESS
+      }
+
+      case null:
+        io.stderr.write(USAGE)
+        return EXIT_CODES.USAGE
+
+      default:
+        throw usageError(`Unknown command: ${command}`)
+    }
+  } catch (error) {
+    if (error.exitCode === EXIT_CODES.USAGE) {
+      io.stderr.write(`${error.message}\n\n${USAGE}`)
+      return EXIT_CODES.USAGE
+    }
+    io.stderr.write(`${error.message}\n`)
+    if (error instanceof TectonicNotFoundError) {
+      return EXIT_CODES.BINARY_NOT_FOUND
+    }
+    return EXIT_CODES.COMPILE_FAILED
+  }
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  EXIT_CODES
+}
@@ -0,0 +1,268 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { InvalidConfigError } = require('./errors')
+
+// Default number of entries kept in memory
+const DEFAULT_MAX_ENTRIES = 100
+
+/**
+ * Compute a SHA-256 hex digest of a string or Buffer
+ * @private
+ */
+function sha256 (data) {
+  return crypto.createHash('sha256').update(data).digest('hex')
+}
+
+/**
+ * Content-addressed compile cache
+ * Stores compiled PDFs keyed on a hash of everything that affects the output.
+ * Entries live in an in-memory LRU and, if `dir` is given, in a directory on disk.
+ */
+class CompileCache {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxEntries] - Maximum in-memory entries (default: 100, 0 disables the memory tier)
+   * @param {string} [options.dir] - Directory for the on-disk tier
+   */
+  constructor (options) {
+    options = options || {}
+    this.maxEntries = options.maxEntries !== undefined ? options.maxEntries : DEFAULT_MAX_ENTRIES
+    this.dir = options.dir ? path.resolve(options.dir) : null
+    this.memory = new Map()
+
+    if (!Number.isInteger(this.maxEntries) || this.maxEntries < 0) {
+      throw new InvalidConfigError(`Invalid cache maxEntries: ${options.maxEntries}. Expected a non-negative integer.`, 'maxEntries')
+    }
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true })
+    }
+  }
+
+  /**
+   * Compute a cache key from the inputs of a compilation
+   *
+   * @param {Object} inputs - Inputs
+   * @param {string|Buffer} inputs.source - Main LaTeX source
+   * @param {Object<string, string|Buffer>} [inputs.files] - Auxiliary inputs by relative path
+   * @param {string} [inputs.version] - Tectonic version
+   * @param {Object} [inputs.options] - Compile options that affect the output
+   * @returns {string} - Hex key
+   */
+  key (inputs) {
+    const hash = crypto.createHash('sha256')
+    hash.update(`version:${inputs.version || 'unknown'}\n`)
+    hash.update(`source:${sha256(inputs.source)}\n`)
+    const files = inputs.files || {}
+    for (const name of Object.keys(files).sort()) {
+      hash.update(`file:${name}:${sha256(files[name])}\n`)
+    }
+    const options = inputs.options || {}
+    for (const name of Object.keys(options).sort()) {
+      hash.update(`option:${name}:${JSON.stringify(options[name])}\n`)
+    }
+    return hash.digest('hex')
+  }
+
+  /**
+   * Look up an entry, promoting it to most recently used
+   *
+   * @param {string} key - Cache key
+   * @returns {Object|null} - { pdfBuffer, diagnostics } or null on a miss
+   */
+  get (key) {
+    if (this.memory.has(key)) {
+      const entry = this.memory.get(key)
+      this.memory.delete(key)
+      this.memory.set(key, entry)
+      return entry
+    }
+
+    if (this.dir) {
+      const pdfPath = path.join(this.dir, `${key}.pdf`)
+      const metaPath = path.join(this.dir, `${key}.json`)
+      try {
+        const pdfBuffer = fs.readFileSync(pdfPath)
+        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'))
+        const now = new Date()
+        fs.utimesSync(pdfPath, now, now)
+        const entry = { pdfBuffer, diagnostics: meta.diagnostics || [] }
+        this.remember(key, entry)
+        return entry
+      } catch (e) {
+        // Missing or unreadable entry is a miss
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Store an entry
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   * @param {Buffer} entry.pdfBuffer - Compiled PDF
+   * @param {Array} [entry.diagnostics] - Diagnostics of the compilation
+   */
+  set (key, entry) {
+    const stored = { pdfBuffer: entry.pdfBuffer, diagnostics: entry.diagnostics || [] }
+    this.remember(key, stored)
+
+    if (this.dir) {
+      try {
+        fs.mkdirSync(this.dir, { recursive: true })
+        // Write metadata last so a partially written entry is never read as a hit
+        fs.writeFileSync(path.join(this.dir, `${key}.pdf`), stored.pdfBuffer)
+        fs.writeFileSync(path.join(this.dir, `${key}.json`), JSON.stringify({ diagnostics: stored.diagnostics }))
+      } catch (e) {
+        // The disk tier is best effort
+      }
+    }
+  }
+
+  /**
+   * Get the number of entries and bytes held in each tier
+   * @returns {Object} - { memory: { entries, bytes }, disk: { entries, bytes } | null }
+   */
+  size () {
+    let memoryBytes = 0
+    for (const entry of this.memory.values()) {
+      memoryBytes += entry.pdfBuffer.length
+    }
+
+    let disk = null
+    if (this.dir) {
+      const entries = this.listDiskEntries()
+      disk = {
+        entries: entries.length,
+        bytes: entries.reduce((total, entry) => total + entry.size, 0)
+      }
+    }
+
+    return {
+      memory: { entries: this.memory.size, bytes: memoryBytes },
+      disk
+    }
+  }
+
+  /**
+   * Remove least recently used entries until the limits are met
+   *
+   * @param {Object} [options] - Limits (applied to each tier)
+   * @param {number} [options.maxEntries] - Keep at most this many entries
+   * @param {number} [options.maxBytes] - Keep at most this many bytes of PDFs
+   * @param {number} [options.maxAgeMs] - Remove entries not used for this long (disk tier)
+   * @returns {number} - Number of entries removed
+   */
+  prune (options) {
+    options = options || {}
+    const maxEntries = options.maxEntries !== undefined ? options.maxEntries : Infinity
+    const maxBytes = options.maxBytes !== undefined ? options.maxBytes : Infinity
+    let removed = 0
+
+    // Memory tier: Map iteration order is least recently used first
+    let memoryBytes = 0
+    for (const entry of this.memory.values()) {
+      memoryBytes += entry.pdfBuffer.length
+    }
+    for (const [key, entry] of this.memory) {
+      if (this.memory.size <= maxEntries && memoryBytes <= maxBytes) {
+        break
+      }
+      this.memory.delete(key)
+      memoryBytes -= entry.pdfBuffer.length
+      removed++
+    }
+
+    if (this.dir) {
+      const entries = this.listDiskEntries()
+      let count = entries.length
+      let bytes = entries.reduce((total, entry) => total + entry.size, 0)
+      const cutoff = options.maxAgeMs !== undefined ? Date.now() - options.maxAgeMs : -Infinity
+      for (const entry of entries) {
+        if (count <= maxEntries && bytes <= maxBytes && entry.mtimeMs >= cutoff) {
+          continue
+        }
+        this.removeDiskEntry(entry.key)
+        count--
+        bytes -= entry.size
+        removed++
+      }
+    }
+
+    return removed
+  }
+
+  /**
+   * Remove every entry from both tiers
+   */
+  clear () {
+    this.memory.clear()
+    if (this.dir) {
+      for (const entry of this.listDiskEntries()) {
+        this.removeDiskEntry(entry.key)
+      }
+    }
+  }
+
+  /**
+   * Add an entry to the memory tier, evicting the least recently used one when full
+   * @private
+   */
+  remember (key, entry) {
+    if (this.maxEntries === 0) {
+      return
+    }
+    this.memory.delete(key)
+    this.memory.set(key, entry)
+    while (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value)
+    }
+  }
+
+  /**
+   * List disk entries, least recently used first
+   * @private
+   */
+  listDiskEntries () {
+    let names
+    try {
+      names = fs.readdirSync(this.dir)
+    } catch (e) {
+      return []
+    }
+
+    const entries = []
+    for (const name of names) {
+      if (path.extname(name) !== '.pdf') {
+        continue
+      }
+      try {
+        const stats = fs.statSync(path.join(this.dir, name))
+        entries.push({ key: path.basename(name, '.pdf'), size: stats.size, mtimeMs: stats.mtimeMs })
+      } catch (e) {
+        // Entry removed concurrently
+      }
+    }
+    return entries.sort((a, b) => a.mtimeMs - b.mtimeMs)
+  }
+
+  /**
+   * Remove an entry from the disk tier
+   * @private
+   */
+  removeDiskEntry (key) {
+    for (const ext of ['.json', '.pdf']) {
+      try {
+        fs.unlinkSync(path.join(this.dir, key + ext))
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  }
+}
+
+module.exports = CompileCache
@@ -0,0 +1,172 @@
+'use strict'
+
+const os = require('os')
+const LatexCompiler = require('./latex-compiler')
+const { InvalidConfigError, QueueFullError, CompilationError, compilationErrorCode } = require('./errors')
+
+/**
+ * Compiler Pool
+ * Runs compile() jobs through a shared LatexCompiler with bounded concurrency.
+ * Jobs beyond `maxConcurrent` wait in a queue ordered by priority (higher first,
+ * FIFO within the same priority). Once `maxQueue` jobs are waiting, new jobs are rejected
+ * with a QueueFullError.
+ */
+class CompilerPool {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxConcurrent] - Maximum number of Tectonic processes at once (default: CPU count)
+   * @param {number} [options.maxQueue] - Maximum number of waiting jobs (default: unlimited)
+   * @param {string} [options.tectonicPath] - Custom path to Tectonic executable
+   */
+  constructor (options) {
+    options = options || {}
+    this.maxConcurrent = options.maxConcurrent !== undefined ? options.maxConcurrent : Math.max(1, os.cpus().length)
+    this.maxQueue = options.maxQueue !== undefined ? options.maxQueue : Infinity
+
+    if (!Number.isInteger(this.maxConcurrent) || this.maxConcurrent < 1) {
+      throw new InvalidConfigError(`Invalid maxConcurrent: ${options.maxConcurrent}. Expected a positive integer.`, 'maxConcurrent')
+    }
+    if (this.maxQueue !== Infinity && (!Number.isInteger(this.maxQueue) || this.maxQueue < 0)) {
+      throw new InvalidConfigError(`Invalid maxQueue: ${options.maxQueue}. Expected a non-negative integer.`, 'maxQueue')
+    }
+
+    this.compiler = new LatexCompiler(options)
+    this.queue = []
+    this.running = 0
+    this.completed = 0
+    this.failed = 0
+    this.rejected = 0
+    this.sequence = 0
+  }
+
+  /**
+   * Queue a compile job
+   *
+   * @param {Object} config - Compilation configuration (same as LatexCompiler.compile)
+   * @param {Object} [jobOptions] - Job options
+   * @param {number} [jobOptions.priority] - Higher priority jobs run first (default: 0)
+   * @returns {Promise<Object>} - Compilation result
+   */
+  compile (config, jobOptions) {
+    jobOptions = jobOptions || {}
+    const priority = jobOptions.priority !== undefined ? jobOptions.priority : 0
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+      return Promise.reject(new InvalidConfigError(`Invalid priority: ${jobOptions.priority}. Expected a finite number.`, 'priority'))
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { config: config || {}, priority, sequence: this.sequence++, resolve, reject }
+
+      if (this.running < this.maxConcurrent) {
+        this.run(job)
+        return
+      }
+
+      if (this.queue.length >= this.maxQueue) {
+        this.rejected++
+        reject(new QueueFullError(`Compiler pool queue is full (maxQueue: ${this.maxQueue})`, this.maxQueue))
+        return
+      }
+
+      // A job aborted while waiting never starts
+      const signal = job.config.signal
+      if (signal) {
+        if (signal.aborted) {
+          this.settleAborted(job)
+          return
+        }
+        job.onAbort = () => {
+          const index = this.queue.indexOf(job)
+          if (index !== -1) {
+            this.queue.splice(index, 1)
+            this.settleAborted(job)
+          }
+        }
+        signal.addEventListener('abort', job.onAbort)
+      }
+
+      this.enqueue(job)
+    })
+  }
+
+  /**
+   * Get queue depth and running-job statistics
+   * @returns {Object} - { running, queued, maxConcurrent, maxQueue, completed, failed, rejected }
+   */
+  stats () {
+    return {
+      running: this.running,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      completed: this.completed,
+      failed: this.failed,
+      rejected: this.rejected
+    }
+  }
+
+  /**
+   * Insert a job keeping the queue ordered by priority, then arrival
+   * @private
+   */
+  enqueue (job) {
+    let index = this.queue.length
+    while (index > 0 && this.queue[index - 1].priority < job.priority) {
+      index--
+    }
+    this.queue.splice(index, 0, job)
+  }
+
+  /**
+   * Settle a job aborted before it started, as compile() settles an aborted compile
+   * @private
+   */
+  settleAborted (job) {
+    const result = {
+      status: 'aborted',
+      code: compilationErrorCode('aborted'),
+      exitCode: -1,
+      error: 'Compilation aborted',
+      stdout: '',
+      stderr: '',
+      diagnostics: []
+    }
+    const errorMode = job.config.errorMode !== undefined ? job.config.errorMode : this.compiler.errorMode
+    if (errorMode === 'throw') {
+      job.reject(new CompilationError(result))
+    } else {
+      job.resolve(result)
+    }
+  }
+
+  /**
+   * Run a job and start the next queued one when it settles
+   * @private
+   */
+  run (job) {
+    this.running++
+    if (job.onAbort) {
+      job.config.signal.removeEventListener('abort', job.onAbort)
+    }
+
+    this.compiler.compile(job.config).then((result) => {
+      if (result.status === 'success') {
+        this.completed++
+      } else {
+        this.failed++
+      }
+      job.resolve(result)
+    }, (error) => {
+      this.failed++
+      job.reject(error)
+    }).then(() => {
+      this.running--
+      const next = this.queue.shift()
+      if (next) {
+        this.run(next)
+      }
+    })
+  }
+}
+
+module.exports = CompilerPool
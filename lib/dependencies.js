@@ -0,0 +1,296 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { INPUT_FILE_NAME } = require('./diagnostics')
+
+// Commands that pull other files into a document, with the extensions TeX tries for each
+const DEPENDENCY_COMMANDS = {
+  input: ['', '.tex'],
+  '@@input': ['', '.tex'],
+  include: ['.tex'],
+  InputIfFileExists: ['', '.tex'],
+  subfile: ['', '.tex'],
+  import: ['', '.tex'],
+  subimport: ['', '.tex'],
+  inputfrom: ['', '.tex'],
+  subinputfrom: ['', '.tex'],
+  includefrom: ['.tex'],
+  subincludefrom: ['.tex'],
+  includegraphics: ['', '.pdf', '.png', '.jpg', '.jpeg', '.eps'],
+  lstinputlisting: [''],
+  verbatiminput: [''],
+  bibliography: ['.bib'],
+  addbibresource: [''],
+  usepackage: ['.sty'],
+  RequirePackage: ['.sty'],
+  documentclass: ['.cls'],
+  LoadClass: ['.cls']
+}
+
+// Extensions of files that TeX reads as source
+const TEX_SOURCE_EXTENSIONS = ['.tex', '.sty', '.cls', '.ltx', '.def', '.cfg', '.clo']
+
+// Commands whose argument is a comma-separated list of names
+const LIST_COMMANDS = ['bibliography', 'usepackage', 'RequirePackage']
+
+// Commands that read their file as TeX source, whatever its extension
+const SOURCE_COMMANDS = ['input', '@@input', 'include', 'InputIfFileExists', 'subfile',
+  'import', 'subimport', 'inputfrom', 'subinputfrom', 'includefrom', 'subincludefrom']
+
+// import package commands: {directory}{file}; the sub* forms take the directory
+// relative to the file that uses them, the others relative to the main file
+const IMPORT_COMMANDS = ['import', 'subimport', 'inputfrom', 'subinputfrom', 'includefrom', 'subincludefrom']
+
+// Commands that also take a name without braces, e.g. \input chapter
+const UNBRACED_COMMANDS = ['input', '@@input']
+
+// \command[options]{name}, \command{directory}{name}, or \input name
+const DEPENDENCY_RE = new RegExp(
+  '\\\\(' + Object.keys(DEPENDENCY_COMMANDS).join('|') + ')(?![a-zA-Z@])\\*?\\s*(?:\\[[^\\]]*\\]\\s*)?' +
+  '(?:\\{([^}]*)\\}(?:\\s*\\{([^}]*)\\})?|([^\\s{}%]+))',
+  'g'
+)
+
+/**
+ * Remove TeX comments (unescaped % to end of line)
+ * @private
+ */
+function stripComments (source) {
+  return source.replace(/(^|[^\\])%.*$/gm, '$1')
+}
+
+/**
+ * Resolve a referenced name to an existing file, trying the command's extensions
+ * in each directory TeX searches
+ * @private
+ */
+function resolveReference (searchDirs, name, command) {
+  for (const dir of searchDirs) {
+    for (const ext of DEPENDENCY_COMMANDS[command]) {
+      const candidate = path.resolve(dir, name + ext)
+      try {
+        if (fs.statSync(candidate).isFile()) {
+          return candidate
+        }
+      } catch (e) {
+        // Try the next extension
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Find local files a LaTeX document pulls in, and whether that list is complete
+ *
+ * Scans for \input (also without braces), \include, \InputIfFileExists, \subfile,
+ * the import package commands, \includegraphics, \lstinputlisting, \verbatiminput,
+ * \bibliography, \addbibresource, and local packages and classes (\usepackage,
+ * \RequirePackage, \documentclass, \LoadClass), recursing into every file read as
+ * TeX source. References are resolved relative to the main file's directory, as
+ * Tectonic does, then in `searchPath`. Files that do not exist on disk (e.g.
+ * packages from the bundle) are skipped. A name built from macros (\input{\jobname-x})
+ * cannot be followed, so the list is reported as incomplete.
+ *
+ * @param {string} texFile - Path to the main .tex file
+ * @param {Object} [options] - Options
+ * @param {string} [options.source] - Source text of the main file (read from disk if omitted)
+ * @param {string[]} [options.searchPath] - More directories TeX searches (unstable.searchPath)
+ * @returns {Object} - { files, complete }: absolute paths of referenced files, excluding the main file
+ */
+function scanDependencies (texFile, options) {
+  options = options || {}
+  const mainPath = path.resolve(texFile)
+  const baseDir = path.dirname(mainPath)
+  const extraDirs = [].concat(options.searchPath || []).map(dir => path.resolve(dir))
+  const found = new Set()
+  const visited = new Set([mainPath])
+  const pending = [{ filePath: mainPath, source: options.source, searchDirs: [baseDir].concat(extraDirs) }]
+  let complete = true
+
+  while (pending.length > 0) {
+    const { filePath, source, searchDirs } = pending.shift()
+    let text = source
+    if (text === undefined) {
+      try {
+        const content = fs.readFileSync(filePath)
+        if (content.includes(0)) {
+          continue
+        }
+        text = content.toString('utf-8')
+      } catch (e) {
+        continue
+      }
+    }
+
+    const content = stripComments(text)
+    DEPENDENCY_RE.lastIndex = 0
+    let match
+    while ((match = DEPENDENCY_RE.exec(content)) !== null) {
+      const command = match[1]
+      let argument = match[2]
+      let dirs = searchDirs
+      if (match[4] !== undefined) {
+        if (!UNBRACED_COMMANDS.includes(command)) {
+          continue
+        }
+        argument = match[4]
+      } else if (IMPORT_COMMANDS.includes(command)) {
+        if (match[3] === undefined) {
+          continue
+        }
+        if (match[2].includes('\\')) {
+          complete = false
+          continue
+        }
+        const importBase = command.startsWith('sub') ? path.dirname(filePath) : baseDir
+        dirs = [path.resolve(importBase, match[2].trim())]
+        argument = match[3]
+      }
+
+      const names = LIST_COMMANDS.includes(command) ? argument.split(',') : [argument]
+      for (const name of names) {
+        const trimmed = name.trim()
+        if (!trimmed) {
+          continue
+        }
+        if (trimmed.includes('\\')) {
+          complete = false
+          continue
+        }
+        const resolved = resolveReference(dirs, trimmed, command)
+        if (!resolved || resolved === mainPath) {
+          continue
+        }
+        found.add(resolved)
+        if ((SOURCE_COMMANDS.includes(command) || isTexSource(resolved)) && !visited.has(resolved)) {
+          visited.add(resolved)
+          // Files an imported file pulls in are found relative to its directory
+          const nestedDirs = IMPORT_COMMANDS.includes(command) ? [path.dirname(resolved)].concat(searchDirs) : searchDirs
+          pending.push({ filePath: resolved, searchDirs: nestedDirs })
+        }
+      }
+    }
+  }
+
+  return { files: Array.from(found), complete }
+}
+
+/**
+ * Find local files a LaTeX document pulls in (see scanDependencies())
+ *
+ * @param {string} texFile - Path to the main .tex file
+ * @param {Object} [options] - Options as for scanDependencies()
+ * @returns {string[]} - Absolute paths of referenced files, excluding the main file
+ */
+function findDependencies (texFile, options) {
+  return scanDependencies(texFile, options).files
+}
+
+/**
+ * Whether a file is read by TeX as source
+ * @private
+ */
+function isTexSource (name) {
+  return TEX_SOURCE_EXTENSIONS.includes(path.extname(name).toLowerCase())
+}
+
+/**
+ * Whether file contents are text (binary files such as images contain NUL bytes)
+ * @private
+ */
+function isText (content) {
+  return !(typeof content === 'string' ? content.includes('\0') : Buffer.from(content).includes(0))
+}
+
+/**
+ * List the files under a directory, without following symbolic links to directories
+ * @private
+ */
+function listDirectoryFiles (dir) {
+  const files = []
+  let entries
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true })
+  } catch (e) {
+    return files
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...listDirectoryFiles(entryPath))
+    } else {
+      files.push(entryPath)
+    }
+  }
+  return files
+}
+
+/**
+ * Collect the TeX sources of a compile configuration: `tex` (or `texBuffer`) and the
+ * TeX files in `files`, or `texFile` and the TeX files it pulls in
+ *
+ * @param {Object} config - Compilation configuration
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allText] - Include every text file, whatever its extension
+ *   (\input reads any file, e.g. notes.txt)
+ * @param {boolean} [options.directory] - For `texFile`, also include the files under its
+ *   directory that it does not visibly pull in (TeX can read any of them)
+ * @returns {Array<Object>} - Array of { name, source }; `name` is `<input>` for `tex`,
+ *   otherwise a path relative to the main file
+ */
+function collectTexSources (config, options) {
+  options = options || {}
+  const sources = []
+  const include = (name, content) => options.allText ? isText(content) : isTexSource(name)
+
+  if (config.texFile) {
+    const texPath = path.resolve(config.texFile)
+    const baseDir = path.dirname(texPath)
+    const searchPath = config.unstable && config.unstable.searchPath
+    const filePaths = new Set([texPath].concat(findDependencies(texPath, { searchPath })))
+    if (options.directory) {
+      for (const filePath of listDirectoryFiles(baseDir)) {
+        filePaths.add(filePath)
+      }
+    }
+    for (const filePath of filePaths) {
+      const name = path.relative(baseDir, filePath).split(path.sep).join('/')
+      if (filePath !== texPath && !options.allText && !isTexSource(name)) {
+        continue
+      }
+      let content
+      try {
+        content = fs.readFileSync(filePath)
+      } catch (e) {
+        // Unreadable file: TeX will report it
+        continue
+      }
+      if (filePath === texPath || include(name, content)) {
+        sources.push({ name, source: content.toString('utf-8') })
+      }
+    }
+  } else if (typeof config.tex === 'string' || Buffer.isBuffer(config.texBuffer)) {
+    sources.push({ name: INPUT_FILE_NAME, source: config.tex || config.texBuffer.toString('utf-8') })
+    const files = config.files || {}
+    for (const name of Object.keys(files)) {
+      const content = files[name]
+      if (include(name, content)) {
+        sources.push({
+          name: name.replace(/\\/g, '/'),
+          source: typeof content === 'string' ? content : Buffer.from(content).toString('utf-8')
+        })
+      }
+    }
+  }
+
+  return sources
+}
+
+module.exports = {
+  scanDependencies,
+  findDependencies,
+  collectTexSources,
+  stripComments
+}
@@ -0,0 +1,279 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Logical file name reported for documents compiled from a `tex` string
+ */
+const INPUT_FILE_NAME = '<input>'
+
+// Number of source lines shown on each side of the offending line in a code frame
+const CONTEXT_LINES = 2
+
+// Tectonic diagnostic lines, e.g. "error: doc.tex:3: Undefined control sequence"
+const TECTONIC_LINE_RE = /^(error|warning):\s+(?:(.+?):(\d+):\s+)?(.*)$/
+
+// TeX error location line, e.g. "l.3 \invalidcommand"
+const TEX_LOCATION_RE = /^l\.(\d+)\s?/
+
+// Parentheses in TeX's terminal output; "(" followed by a source file name opens that file
+const FILE_PAREN_RE = /\(((?:[A-Za-z]:)?[^\s()"]*\.(?:tex|sty|cls|ltx|def|cfg|clo|fd|bbl|aux|toc|dtx))|[()]/g
+
+// Missing input files, e.g. "! LaTeX Error: File `foo.sty' not found." or "! I can't find file `foo.tex'."
+const MISSING_FILE_RES = [
+  /File `([^']+)' not found/g,
+  /I can't find file `([^']+)'/g
+]
+
+// Failed bundle downloads (no network access, DNS failures, unreachable relay)
+const NETWORK_ERROR_RE = /error sending request|dns error|failed to lookup address|network is unreachable|connection refused|timed out connecting/i
+
+/**
+ * Map a file name as reported by Tectonic back to a logical name
+ * @private
+ */
+function mapFileName (file, fileMap) {
+  if (!file) {
+    return null
+  }
+  if (Object.prototype.hasOwnProperty.call(fileMap, file)) {
+    return fileMap[file]
+  }
+  const baseName = path.basename(file)
+  if (Object.prototype.hasOwnProperty.call(fileMap, baseName)) {
+    return fileMap[baseName]
+  }
+  return file
+}
+
+/**
+ * Replace every temporary file name that appears in a message with its logical name
+ * @private
+ */
+function mapMessage (message, fileMap) {
+  let mapped = message
+  for (const name of Object.keys(fileMap)) {
+    if (name && mapped.includes(name)) {
+      mapped = mapped.split(name).join(fileMap[name])
+    }
+  }
+  return mapped
+}
+
+/**
+ * Build a short code frame around a line of source text
+ *
+ * @param {string} source - Full source text
+ * @param {number} line - 1-based line number to highlight
+ * @returns {string|null} - Code frame, or null if the line is out of range
+ */
+function createCodeFrame (source, line) {
+  const lines = source.split(/\r?\n/)
+  if (!line || line < 1 || line > lines.length) {
+    return null
+  }
+
+  const start = Math.max(1, line - CONTEXT_LINES)
+  const end = Math.min(lines.length, line + CONTEXT_LINES)
+  const width = String(end).length
+  const frame = []
+  for (let n = start; n <= end; n++) {
+    const marker = n === line ? '>' : ' '
+    frame.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`)
+  }
+  return frame.join('\n')
+}
+
+/**
+ * Follow the files TeX opens and closes on one line of its output
+ * TeX prints "(name" when it starts reading a file and ")" when it is done with it.
+ * Other parentheses are pushed as null so they pair up without changing the current file.
+ * @private
+ */
+function trackOpenFiles (text, stack, fileMap) {
+  FILE_PAREN_RE.lastIndex = 0
+  let match
+  while ((match = FILE_PAREN_RE.exec(text)) !== null) {
+    if (match[0] === ')') {
+      stack.pop()
+    } else {
+      stack.push(match[1] ? mapFileName(match[1].replace(/^\.\//, ''), fileMap) : null)
+    }
+  }
+}
+
+/**
+ * The file TeX is reading, or null if none was opened
+ * @private
+ */
+function currentFile (stack) {
+  for (let i = stack.length - 1; i >= 0; i--) {
+    if (stack[i]) {
+      return stack[i]
+    }
+  }
+  return null
+}
+
+/**
+ * Normalize a message so Tectonic and TeX reports of the same problem compare equal
+ * @private
+ */
+function normalizeMessage (message) {
+  return message.trim().replace(/\.$/, '')
+}
+
+/**
+ * Parse Tectonic and TeX diagnostics from compiler output
+ *
+ * Recognizes Tectonic's "error:"/"warning:" lines and TeX's "! ..." error blocks
+ * terminated by an "l.<n>" location line. "! ..." errors are attributed to the file
+ * TeX had open at the time. Errors whose source can be read get a code frame in
+ * `context`; only `options.sources` and files inside `options.baseDir` are read,
+ * since file names in the output may come from the document itself.
+ *
+ * @param {string} output - Combined stdout/stderr of the compilation
+ * @param {Object} [options] - Options
+ * @param {Object<string, string>} [options.fileMap] - Map of reported file names to logical names
+ * @param {string} [options.mainFile] - Logical name of the main file (used for TeX "l.<n>" blocks outside any opened file)
+ * @param {Object<string, string|Buffer>} [options.sources] - Source text by logical file name
+ * @param {string} [options.baseDir] - Directory sources not found in `options.sources` may be read from
+ * @returns {Array<Object>} - Array of { severity, file, line, message, context }
+ */
+function parseDiagnostics (output, options) {
+  options = options || {}
+  const fileMap = options.fileMap || {}
+  const sources = Object.assign({}, options.sources)
+  const diagnostics = []
+  const openFiles = []
+
+  if (!output) {
+    return diagnostics
+  }
+
+  const lines = output.split(/\r?\n/)
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i]
+
+    const tectonicMatch = text.match(TECTONIC_LINE_RE)
+    if (tectonicMatch) {
+      diagnostics.push({
+        severity: tectonicMatch[1],
+        file: mapFileName(tectonicMatch[2], fileMap),
+        line: tectonicMatch[3] ? parseInt(tectonicMatch[3], 10) : null,
+        message: mapMessage(tectonicMatch[4].trim(), fileMap),
+        context: null
+      })
+      continue
+    }
+
+    if (text.startsWith('! ')) {
+      const message = mapMessage(text.slice(2).trim(), fileMap)
+      let line = null
+      // The location line follows within a few lines of the "!" line
+      for (let j = i + 1; j < lines.length && j <= i + 10; j++) {
+        if (lines[j].startsWith('! ')) {
+          break
+        }
+        const locationMatch = lines[j].match(TEX_LOCATION_RE)
+        if (locationMatch) {
+          line = parseInt(locationMatch[1], 10)
+          i = j
+          break
+        }
+      }
+
+      const file = currentFile(openFiles) || options.mainFile || null
+      const duplicate = diagnostics.some((d) =>
+        d.severity === 'error' &&
+        d.line === line &&
+        normalizeMessage(d.message) === normalizeMessage(message)
+      )
+      if (!duplicate) {
+        diagnostics.push({
+          severity: 'error',
+          file: file,
+          line: line,
+          message: message,
+          context: null
+        })
+      }
+      continue
+    }
+
+    trackOpenFiles(text, openFiles, fileMap)
+  }
+
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.severity !== 'error' || !diagnostic.file || !diagnostic.line) {
+      continue
+    }
+    if (!Object.prototype.hasOwnProperty.call(sources, diagnostic.file)) {
+      sources[diagnostic.file] = readSource(diagnostic.file, options.baseDir)
+    }
+    const source = sources[diagnostic.file]
+    if (source !== null) {
+      diagnostic.context = createCodeFrame(Buffer.isBuffer(source) ? source.toString('utf-8') : source, diagnostic.line)
+    }
+  }
+
+  return diagnostics
+}
+
+/**
+ * Find input files that TeX or Tectonic could not find
+ *
+ * @param {string} output - Combined stdout/stderr from Tectonic
+ * @returns {Object} - { files: string[], networkError: boolean }
+ */
+function findMissingResources (output) {
+  const files = []
+  for (const re of MISSING_FILE_RES) {
+    re.lastIndex = 0
+    let match
+    while ((match = re.exec(output || '')) !== null) {
+      if (!files.includes(match[1])) {
+        files.push(match[1])
+      }
+    }
+  }
+  return { files, networkError: NETWORK_ERROR_RE.test(output || '') }
+}
+
+/**
+ * Whether a path is inside a directory
+ * @private
+ */
+function isInside (filePath, dir) {
+  const relative = path.relative(dir, filePath)
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative)
+}
+
+/**
+ * Read a source file for code frames, returning null if it cannot be read
+ * Files outside baseDir (after following symlinks) are never read.
+ * @private
+ */
+function readSource (file, baseDir) {
+  if (file === INPUT_FILE_NAME || !baseDir) {
+    return null
+  }
+  try {
+    const realBaseDir = fs.realpathSync(baseDir)
+    const filePath = fs.realpathSync(path.resolve(baseDir, file))
+    if (!isInside(filePath, realBaseDir)) {
+      return null
+    }
+    return fs.readFileSync(filePath, 'utf-8')
+  } catch (e) {
+    return null
+  }
+}
+
+module.exports = {
+  INPUT_FILE_NAME,
+  parseDiagnostics,
+  createCodeFrame,
+  findMissingResources
+}
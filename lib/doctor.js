@@ -0,0 +1,244 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const LatexCompiler = require('./latex-compiler')
+const platformResolver = require('./platform-resolver')
+
+// Default time limit for the smoke compile
+const SMOKE_TIMEOUT_MS = 120000
+
+const SMOKE_TEX = `\\documentclass{article}
+\\begin{document}
+node-latex-compiler doctor
+\\end{document}
+`
+
+/**
+ * Find Tectonic's package cache directory and where the setting comes from
+ * Tectonic uses TECTONIC_CACHE_DIR, or its per-user cache directory.
+ * @private
+ */
+function getCacheDir (options) {
+  if (options.cacheDir) {
+    return { path: path.resolve(options.cacheDir), source: 'option' }
+  }
+  if (process.env.TECTONIC_CACHE_DIR) {
+    return { path: path.resolve(process.env.TECTONIC_CACHE_DIR), source: 'env' }
+  }
+  const home = os.homedir()
+  let dir
+  if (process.platform === 'win32') {
+    dir = path.join(process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'), 'TectonicProject', 'Tectonic')
+  } else if (process.platform === 'darwin') {
+    dir = path.join(home, 'Library', 'Caches', 'Tectonic')
+  } else {
+    dir = path.join(process.env.XDG_CACHE_HOME || path.join(home, '.cache'), 'Tectonic')
+  }
+  return { path: dir, source: 'default' }
+}
+
+/**
+ * Check whether a directory can be written to
+ * A directory that does not exist yet counts as writable if it could be created.
+ * @private
+ */
+function checkWritable (dir) {
+  let existing = dir
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+    existing = path.dirname(existing)
+  }
+  try {
+    if (!fs.statSync(existing).isDirectory()) {
+      return { exists: false, writable: false, error: `"${existing}" is not a directory` }
+    }
+    fs.accessSync(existing, fs.constants.W_OK)
+    return { exists: existing === dir, writable: true, error: null }
+  } catch (e) {
+    return { exists: existing === dir, writable: false, error: e.message }
+  }
+}
+
+/**
+ * Check whether a file can be run
+ * @private
+ */
+function isExecutable (filePath) {
+  try {
+    if (!fs.statSync(filePath).isFile()) {
+      return false
+    }
+    if (process.platform !== 'win32') {
+      fs.accessSync(filePath, fs.constants.X_OK)
+    }
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Report how the Tectonic binary is found and whether compiling works
+ *
+ * Every candidate resolveTectonicExecutable() tries is listed with whether it
+ * exists, is executable and reports a version. Nothing is made executable: a
+ * binary without the execute bit is reported as such. The report also covers the
+ * platform, the job workspace directory and Tectonic's cache directory, and
+ * ends with a smoke compile of a one-line document.
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.tectonicPath] - Custom Tectonic path
+ * @param {Array<string|Function>} [options.resolution] - Order of resolution strategies
+ * @param {boolean} [options.strict] - Resolve in strict mode; the error is reported as tectonic.error
+ * @param {string} [options.cacheDir] - Tectonic package cache directory (TECTONIC_CACHE_DIR)
+ * @param {boolean} [options.smokeTest] - Set to false to skip the smoke compile
+ * @param {number} [options.timeoutMs] - Time limit for the smoke compile (default: 120000)
+ * @returns {Promise<Object>} - { ok, platform, tectonic, candidates, tempDir, cacheDir, smokeTest }
+ */
+async function diagnose (options) {
+  options = options || {}
+  let selectedPath = null
+  let resolveError = null
+  try {
+    selectedPath = platformResolver.resolveTectonicExecutable(Object.assign({}, options, { chmod: false }))
+  } catch (e) {
+    // strict mode or an invalid resolution option
+    resolveError = e.message
+  }
+
+  let listed = []
+  try {
+    listed = platformResolver.getTectonicCandidates(options)
+  } catch (e) {
+    // Invalid resolution option, already reported as the resolve error
+  }
+
+  const candidates = []
+  for (const candidate of listed) {
+    const entry = Object.assign({}, candidate, {
+      exists: Boolean(candidate.path) && fs.existsSync(candidate.path),
+      executable: false,
+      version: null,
+      // A path listed twice (e.g. tectonicPath pointing into bin/) is selected only once
+      selected: Boolean(candidate.path) && candidate.path === selectedPath && !candidates.some(other => other.selected)
+    })
+    if (entry.exists) {
+      entry.executable = isExecutable(candidate.path)
+      entry.version = entry.executable ? await LatexCompiler.getTectonicVersion(candidate.path) : null
+    }
+    candidates.push(entry)
+  }
+  const selected = candidates.find(candidate => candidate.selected) || null
+
+  const platform = os.platform()
+  const arch = os.arch()
+  const libc = platformResolver.detectLibc()
+  const tempDir = Object.assign({ path: LatexCompiler.TEMP_DIR }, checkWritable(LatexCompiler.TEMP_DIR))
+  const cacheDir = getCacheDir(options)
+  Object.assign(cacheDir, checkWritable(cacheDir.path))
+
+  let smokeTest
+  if (options.smokeTest === false) {
+    smokeTest = { status: 'skipped', durationMs: null, error: null }
+  } else if (!selectedPath) {
+    smokeTest = { status: 'skipped', durationMs: null, error: resolveError || 'Tectonic executable not found' }
+  } else if (!selected || !selected.executable) {
+    smokeTest = { status: 'skipped', durationMs: null, error: `${selectedPath} is not executable` }
+  } else {
+    const compiler = new LatexCompiler({ tectonicPath: selectedPath, cacheDir: options.cacheDir, resolutionCache: false })
+    const start = Date.now()
+    const result = await compiler.compile({
+      tex: SMOKE_TEX,
+      returnBuffer: true,
+      cache: false,
+      errorMode: 'resolve',
+      timeoutMs: options.timeoutMs || SMOKE_TIMEOUT_MS
+    })
+    smokeTest = {
+      status: result.status,
+      durationMs: Date.now() - start,
+      error: result.status === 'success' ? null : (result.error || null)
+    }
+  }
+
+  return {
+    ok: Boolean(selected && selected.executable && selected.version) &&
+      tempDir.writable &&
+      (smokeTest.status === 'success' || (options.smokeTest === false && smokeTest.status === 'skipped')),
+    platform: {
+      platform,
+      arch,
+      libc,
+      node: process.version,
+      runtimePackage: platformResolver.getRuntimePackageName(platform, arch, libc)
+    },
+    tectonic: {
+      path: selectedPath,
+      source: selected ? selected.source : null,
+      version: selected ? selected.version : null,
+      error: resolveError
+    },
+    candidates,
+    tempDir,
+    cacheDir,
+    smokeTest
+  }
+}
+
+/**
+ * Describe whether a directory can be used
+ * @private
+ */
+function describeDir (dir) {
+  if (dir.writable) {
+    return dir.exists ? 'writable' : 'does not exist yet, can be created'
+  }
+  return `not writable${dir.error ? ` (${dir.error})` : ''}`
+}
+
+/**
+ * Format a diagnose() report for the terminal
+ *
+ * @param {Object} report - Report returned by diagnose()
+ * @returns {string}
+ */
+function formatReport (report) {
+  const { platform, candidates, tempDir, cacheDir, smokeTest } = report
+  const lines = [
+    `Platform:        ${platform.platform} ${platform.arch}${platform.libc ? ` (${platform.libc})` : ''}, Node.js ${platform.node}`,
+    `Runtime package: ${platform.runtimePackage || 'none for this platform'}`,
+    '',
+    'Tectonic candidates, in resolution order:'
+  ]
+  for (const candidate of candidates) {
+    let state
+    if (!candidate.path) {
+      state = candidate.source === 'runtime-package' ? `${candidate.package} is not installed` : 'not found'
+    } else if (!candidate.exists) {
+      state = `${candidate.path} (does not exist)`
+    } else {
+      state = `${candidate.path} (${candidate.executable ? 'executable' : 'not executable'}, ` +
+        `${candidate.version ? `version ${candidate.version}` : 'no version reported'})`
+    }
+    lines.push(`  ${candidate.selected ? '*' : '-'} ${candidate.source.padEnd(15)} ${state}`)
+  }
+  if (!report.tectonic.path) {
+    lines.push(`  ${report.tectonic.error || 'No Tectonic executable found'}`)
+  }
+  lines.push(
+    '',
+    `Temp directory:  ${tempDir.path} (${describeDir(tempDir)})`,
+    `Cache directory: ${cacheDir.path} (${cacheDir.source}; ${describeDir(cacheDir)})`,
+    `Smoke compile:   ${smokeTest.status}${smokeTest.durationMs !== null ? ` in ${smokeTest.durationMs} ms` : ''}` +
+      `${smokeTest.error ? `: ${smokeTest.error}` : ''}`,
+    '',
+    report.ok ? 'Everything looks good.' : 'Problems found.'
+  )
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  diagnose,
+  formatReport
+}
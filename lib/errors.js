@@ -0,0 +1,143 @@
+'use strict'
+
+/**
+ * Errors thrown by the compiler
+ *
+ * Every error has a stable `code` and structured fields next to its message:
+ *
+ * - LatexCompilerError        base class
+ *   - TectonicNotFoundError   'TECTONIC_NOT_FOUND'   { tectonicPath, source }
+ *   - InputNotFoundError      'INPUT_NOT_FOUND'      { path, option }
+ *   - InvalidConfigError      'INVALID_CONFIG'       { option }
+ *   - FilesystemConflictError 'FILESYSTEM_CONFLICT'  { path, targetPath }
+ *   - QueueFullError          'QUEUE_FULL'           { maxQueue }
+ *   - CompilationError        'COMPILATION_FAILED', 'COMPILATION_TIMEOUT' or 'COMPILATION_ABORTED'
+ *                                                    { status, exitCode, diagnostics, result }
+ */
+
+class LatexCompilerError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Stable error code
+   * @param {Object} [fields] - Structured fields set on the error
+   */
+  constructor (message, code, fields) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    Object.assign(this, fields)
+  }
+}
+
+/**
+ * The Tectonic executable could not be found
+ */
+class TectonicNotFoundError extends LatexCompilerError {
+  /**
+   * @param {string} message - Error message
+   * @param {string|null} [tectonicPath] - The configured path, if one was given
+   * @param {string|null} [source] - Where the path came from: 'tectonicPath', 'TECTONIC_PATH' or a resolver name
+   */
+  constructor (message, tectonicPath, source) {
+    super(message, 'TECTONIC_NOT_FOUND', { tectonicPath: tectonicPath || null, source: source || null })
+  }
+}
+
+/**
+ * A file or directory named in the configuration does not exist
+ */
+class InputNotFoundError extends LatexCompilerError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} path - The missing path (or command name)
+   * @param {string} [option] - Configuration option that named it, e.g. 'texFile'
+   */
+  constructor (message, path, option) {
+    super(message, 'INPUT_NOT_FOUND', { path, option: option || null })
+  }
+}
+
+/**
+ * A configuration option is missing, has the wrong type or conflicts with another option
+ */
+class InvalidConfigError extends LatexCompilerError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [option] - Name of the offending option, e.g. 'timeoutMs' or 'unstable.searchPath'
+   */
+  constructor (message, option) {
+    super(message, 'INVALID_CONFIG', { option: option || null })
+  }
+}
+
+/**
+ * A file is in the way of a directory the compiler needs (ENOTDIR)
+ */
+class FilesystemConflictError extends LatexCompilerError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} path - The file that is not a directory
+   * @param {string} [targetPath] - The directory that could not be created
+   */
+  constructor (message, path, targetPath) {
+    super(message, 'FILESYSTEM_CONFLICT', { path, targetPath: targetPath || path })
+  }
+}
+
+/**
+ * A compiler pool already has `maxQueue` jobs waiting
+ */
+class QueueFullError extends LatexCompilerError {
+  /**
+   * @param {string} message - Error message
+   * @param {number} maxQueue - The pool's queue limit
+   */
+  constructor (message, maxQueue) {
+    super(message, 'QUEUE_FULL', { maxQueue })
+  }
+}
+
+// CompilationError codes by result status
+const COMPILATION_CODES = {
+  failed: 'COMPILATION_FAILED',
+  timeout: 'COMPILATION_TIMEOUT',
+  aborted: 'COMPILATION_ABORTED'
+}
+
+/**
+ * Error code for an unsuccessful compile result
+ *
+ * @param {string} status - Result status: 'failed', 'timeout' or 'aborted'
+ * @returns {string}
+ */
+function compilationErrorCode (status) {
+  return COMPILATION_CODES[status] || COMPILATION_CODES.failed
+}
+
+/**
+ * A compile finished without success (thrown with errorMode: 'throw', and by compileStream() streams)
+ */
+class CompilationError extends LatexCompilerError {
+  /**
+   * @param {Object} result - The compile result: { status, error, exitCode, diagnostics, ... }
+   */
+  constructor (result) {
+    super(result.error || `Compilation ${result.status}`, compilationErrorCode(result.status), {
+      status: result.status,
+      exitCode: result.exitCode !== undefined ? result.exitCode : null,
+      diagnostics: result.diagnostics || [],
+      result
+    })
+  }
+}
+
+module.exports = {
+  LatexCompilerError,
+  TectonicNotFoundError,
+  InputNotFoundError,
+  InvalidConfigError,
+  FilesystemConflictError,
+  QueueFullError,
+  CompilationError,
+  compilationErrorCode
+}
@@ -3,8 +3,31 @@
 const fs = require('fs')
 const path = require('path')
 const os = require('os')
-const { exec } = require('child_process')
+const crypto = require('crypto')
+const { PassThrough } = require('stream')
+const { EventEmitter } = require('events')
+const { exec, spawn } = require('child_process')
 const platformResolver = require('./platform-resolver')
+const { INPUT_FILE_NAME, parseDiagnostics, findMissingResources } = require('./diagnostics')
+const { scanDependencies } = require('./dependencies')
+const CompileCache = require('./compile-cache')
+const CompileWatcher = require('./watcher')
+const { validateTectonicOptions, buildTectonicArgs } = require('./tectonic-args')
+const { rewriteInputs } = require('./synctex')
+const toml = require('./toml')
+const { MAX_BIBER_PASSES, parseBiberOutput } = require('./biber')
+const { ProgressTracker } = require('./progress')
+const { LatexFragment } = require('./latex-template')
+const { validateSandboxOption, createSandboxEnv, checkSandboxPolicy } = require('./sandbox')
+const { CONFIG_ENV, validateShellEscapeOption, prepareShellEscape, readInvocations } = require('./shell-escape')
+const {
+  TectonicNotFoundError,
+  InputNotFoundError,
+  InvalidConfigError,
+  FilesystemConflictError,
+  CompilationError,
+  compilationErrorCode
+} = require('./errors')
 
 /**
  * Helper function to check and fix parent directories
@@ -28,10 +51,18 @@ function checkParentDirectories (targetPath, autoFix = false) {
             // Continue checking parent directories
           } catch (e) {
             // If auto-fix fails, throw error
-            throw new Error(`ENOTDIR: "${currentPath}" exists but is not a directory. Cannot create "${targetPath}". Failed to auto-fix: ${e.message}`)
+            throw new FilesystemConflictError(
+              `ENOTDIR: "${currentPath}" exists but is not a directory. Cannot create "${targetPath}". Failed to auto-fix: ${e.message}`,
+              currentPath,
+              targetPath
+            )
           }
         } else {
-          throw new Error(`ENOTDIR: "${currentPath}" exists but is not a directory. Cannot create "${targetPath}". Please remove this file and try again.`)
+          throw new FilesystemConflictError(
+            `ENOTDIR: "${currentPath}" exists but is not a directory. Cannot create "${targetPath}". Please remove this file and try again.`,
+            currentPath,
+            targetPath
+          )
         }
       }
     }
@@ -59,8 +90,100 @@ function moveFileSync (src, dest) {
   }
 }
 
+/**
+ * Resolve a relative path from the `files` option inside a workspace directory
+ * Throws if the path is absolute or escapes the workspace
+ * @private
+ */
+function resolveWorkspacePath (workspaceDir, relativePath) {
+  const normalized = String(relativePath).replace(/\\/g, '/')
+  if (
+    !normalized ||
+    path.posix.isAbsolute(normalized) ||
+    path.win32.isAbsolute(normalized) ||
+    normalized.split('/').includes('..')
+  ) {
+    throw new InvalidConfigError(`Invalid path in files: "${relativePath}". Paths must be relative and stay inside the workspace.`, 'files')
+  }
+
+  const targetPath = path.resolve(workspaceDir, normalized)
+  if (!targetPath.startsWith(workspaceDir + path.sep)) {
+    throw new InvalidConfigError(`Invalid path in files: "${relativePath}". Paths must be relative and stay inside the workspace.`, 'files')
+  }
+  return targetPath
+}
+
+/**
+ * Write the `files` option (relative path -> string or Buffer) into a workspace directory
+ * All paths are validated before anything is written
+ * @private
+ */
+function writeWorkspaceFiles (workspaceDir, files) {
+  const entries = Object.keys(files).map((relativePath) => {
+    const content = files[relativePath]
+    if (typeof content !== 'string' && !Buffer.isBuffer(content) && !(content instanceof Uint8Array)) {
+      throw new InvalidConfigError(`Invalid content in files for "${relativePath}": expected a string or Buffer`, 'files')
+    }
+    return { targetPath: resolveWorkspacePath(workspaceDir, relativePath), content }
+  })
+
+  for (const { targetPath, content } of entries) {
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true })
+    if (typeof content === 'string') {
+      fs.writeFileSync(targetPath, content, 'utf-8')
+    } else {
+      fs.writeFileSync(targetPath, content)
+    }
+  }
+}
+
+/**
+ * List files under a directory recursively, as paths relative to it
+ * @private
+ */
+function listFilesRecursive (dir, prefix) {
+  const files = []
+  let entries
+  try {
+    entries = fs.readdirSync(path.join(dir, prefix || ''), { withFileTypes: true })
+  } catch (e) {
+    return files
+  }
+  for (const entry of entries) {
+    const relativePath = prefix ? path.join(prefix, entry.name) : entry.name
+    if (entry.isDirectory()) {
+      files.push(...listFilesRecursive(dir, relativePath))
+    } else {
+      files.push(relativePath)
+    }
+  }
+  return files
+}
+
+/**
+ * Map a file name recorded by Tectonic for `tex` input back to a logical name:
+ * the temporary main file becomes `<input>`, workspace files become relative paths
+ * @private
+ */
+function toLogicalInputName (name, texPath, workspaceDir) {
+  if (path.basename(name) === path.basename(texPath)) {
+    return INPUT_FILE_NAME
+  }
+  const resolved = path.resolve(workspaceDir, name)
+  if (resolved.startsWith(workspaceDir + path.sep)) {
+    return path.relative(workspaceDir, resolved).split(path.sep).join('/')
+  }
+  return null
+}
+
+// How long `tectonic --help` may take when reading the version
+const VERSION_TIMEOUT_MS = 10000
+
+// Shared root under which every compile job gets its own workspace
+const TEMP_DIR = path.join(__dirname, '..', '__latex_compile_temp__')
+
 function getTempDir () {
-  const tempDir = path.join(__dirname, '..', '__latex_compile_temp__')
+  const tempDir = TEMP_DIR
   if (fs.existsSync(tempDir)) {
     // Check if it's actually a directory, not a file
     const stats = fs.statSync(tempDir)
@@ -70,7 +193,7 @@ function getTempDir () {
         fs.unlinkSync(tempDir)
         fs.mkdirSync(tempDir, { recursive: true })
       } catch (e) {
-        throw new Error(`ENOTDIR: "${tempDir}" exists but is not a directory. Failed to auto-fix: ${e.message}`)
+        throw new FilesystemConflictError(`ENOTDIR: "${tempDir}" exists but is not a directory. Failed to auto-fix: ${e.message}`, tempDir)
       }
     }
   } else {
@@ -83,6 +206,186 @@ function getTempDir () {
   return tempDir
 }
 
+// Options that make Tectonic produce files besides the PDF; such compiles bypass the cache
+const SIDE_OUTPUT_OPTIONS = ['keepLogs', 'keepIntermediates', 'synctex']
+
+// Compile options that do not affect the compiled PDF and are left out of cache keys
+const CACHE_IGNORED_OPTIONS = [
+  'tex', 'texFile', 'texBuffer', 'files', 'outputDir', 'outputFile', 'returnBuffer',
+  'onStdout', 'onStderr', 'onProgress', 'timeoutMs', 'signal', 'tectonicPath', 'cache', 'cacheDir', 'biberPath', 'errorMode',
+  'resolution', 'strict', 'resolutionCache'
+]
+
+// Values of the errorMode option: throw CompilationError for unsuccessful compiles,
+// or resolve thrown errors as failed results
+const ERROR_MODES = ['throw', 'resolve']
+
+// Prefix of per-job workspace directories inside the temp directory
+const JOB_WORKSPACE_PREFIX = 'job-'
+
+/**
+ * Create a private workspace for a single compile job inside the temp directory
+ * Every job gets a unique directory, so concurrent compiles never share files
+ * @private
+ */
+function createJobWorkspace () {
+  return fs.mkdtempSync(path.join(getTempDir(), JOB_WORKSPACE_PREFIX))
+}
+
+/**
+ * Remove a job workspace created by createJobWorkspace()
+ * Refuses to touch anything that is not a job directory directly inside the temp directory
+ * @private
+ */
+function removeJobWorkspace (workspaceDir) {
+  if (
+    path.dirname(workspaceDir) !== TEMP_DIR ||
+    !path.basename(workspaceDir).startsWith(JOB_WORKSPACE_PREFIX)
+  ) {
+    return
+  }
+  try {
+    fs.rmSync(workspaceDir, { recursive: true, force: true })
+  } catch (e) {
+    // Ignore cleanup errors
+  }
+}
+
+/**
+ * Read a file, or return null if it does not exist
+ * @private
+ */
+function readFileIfExists (filePath) {
+  try {
+    return fs.readFileSync(filePath)
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Collect a stream's chunks into a single Buffer
+ * @private
+ */
+function readStreamToBuffer (readable) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    readable.on('data', (chunk) => chunks.push(Buffer.from(chunk)))
+    readable.on('end', () => resolve(Buffer.concat(chunks)))
+    readable.on('error', reject)
+  })
+}
+
+/**
+ * Explain a failed compile caused by files missing from the package cache or bundle,
+ * setting `missingFiles` and a clear `error` on the result
+ * @private
+ */
+function explainMissingResources (result, config, cacheDir) {
+  const missing = findMissingResources(`${result.stdout}\n${result.stderr}`)
+  if (missing.files.length > 0) {
+    const names = missing.files.join(', ')
+    result.missingFiles = missing.files
+    if (config.onlyCached) {
+      result.error = `Not in the Tectonic cache${cacheDir ? ` (${cacheDir})` : ''} and onlyCached is set: ${names}`
+    } else if (config.bundle) {
+      result.error = `Not found in bundle ${config.bundle}: ${names}`
+    } else {
+      result.error = `File not found: ${names}`
+    }
+  } else if (missing.networkError && !result.error) {
+    result.error = 'Tectonic could not download packages (no network access?). ' +
+      'Use bundle or onlyCached with a prepared cacheDir to compile offline.'
+  }
+  return result
+}
+
+/**
+ * Get the version a Tectonic binary reports
+ *
+ * @param {string} tectonicPath - Path to the Tectonic executable
+ * @returns {Promise<string|null>} - The version, 'unknown' if it runs but reports none, or null
+ */
+function getTectonicVersion (tectonicPath) {
+  return new Promise((resolve) => {
+    // Tectonic doesn't support --version, try --help and parse version from output
+    const cmd = `"${tectonicPath}" --help`
+    exec(cmd, { encoding: 'utf-8', timeout: VERSION_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        resolve(null)
+      } else {
+        // Try to extract version from help output
+        const output = stdout || stderr
+        const versionMatch = output.match(/tectonic[-\s]+([\d.]+[\+\w-]*)/i)
+        if (versionMatch) {
+          resolve(versionMatch[1])
+        } else {
+          // If we can't parse version, at least confirm it's working
+          resolve(output.includes('tectonic') ? 'unknown' : null)
+        }
+      }
+    })
+  })
+}
+
+// Output types Tectonic V2 workspaces can declare
+const WORKSPACE_OUTPUT_TYPES = ['pdf', 'html']
+
+/**
+ * Read the outputs declared in a workspace's Tectonic.toml
+ * @private
+ */
+function readWorkspaceOutputs (projectDir) {
+  const tomlPath = path.join(projectDir, 'Tectonic.toml')
+  if (!fs.existsSync(tomlPath)) {
+    throw new InputNotFoundError(`Tectonic.toml not found in ${projectDir}`, tomlPath, 'projectDir')
+  }
+  let manifest
+  try {
+    manifest = toml.parse(fs.readFileSync(tomlPath, 'utf-8'))
+  } catch (error) {
+    throw new InvalidConfigError(`${tomlPath}: ${error.message}`, 'projectDir')
+  }
+  const outputs = Array.isArray(manifest.output) ? manifest.output : []
+  if (outputs.length === 0) {
+    throw new InvalidConfigError(`No [[output]] declared in ${tomlPath}`, 'projectDir')
+  }
+  return outputs.map((output) => {
+    if (!output || typeof output.name !== 'string' || !output.name) {
+      throw new InvalidConfigError(`Every [[output]] in ${tomlPath} needs a name`, 'projectDir')
+    }
+    const type = output.type || 'pdf'
+    if (!WORKSPACE_OUTPUT_TYPES.includes(type)) {
+      throw new InvalidConfigError(`Unsupported type "${type}" for output "${output.name}" in ${tomlPath}`, 'projectDir')
+    }
+    return { name: output.name, type }
+  })
+}
+
+/**
+ * Collect what `tectonic -X build` wrote for one output under build/<name>/
+ * @private
+ */
+function collectWorkspaceArtifacts (projectDir, output) {
+  const outputDir = path.join(projectDir, 'build', output.name)
+  const files = listFilesRecursive(outputDir)
+  if (output.type === 'pdf') {
+    const pdfName = files.includes(`${output.name}.pdf`)
+      ? `${output.name}.pdf`
+      : files.find(name => path.extname(name) === '.pdf')
+    return pdfName ? { pdf: { path: path.join(outputDir, pdfName) } } : {}
+  }
+  if (files.length === 0) {
+    return {}
+  }
+  return {
+    [output.type]: {
+      path: outputDir,
+      files: files.map(name => ({ name: name.split(path.sep).join('/'), path: path.join(outputDir, name) }))
+    }
+  }
+}
+
 /**
  * Tectonic Compiler Service
  * Supports multiple input/output formats:
@@ -90,14 +393,58 @@ function getTempDir () {
  * - Output: file path, buffer
  */
 class LatexCompiler {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.tectonicPath] - Custom path to Tectonic executable
+   * @param {CompileCache|Object|boolean} [options.cache] - Compile cache instance, or options for a new one
+   * @param {string} [options.cacheDir] - Tectonic package cache directory (TECTONIC_CACHE_DIR)
+   * @param {string} [options.bundle] - Default local bundle file or directory for every compile (--bundle)
+   * @param {boolean} [options.onlyCached] - Default to cached bundle resources only (--only-cached)
+   * @param {string} [options.biberPath] - Default biber executable for biblatex documents
+   * @param {string} [options.errorMode] - Default errorMode for every compile ('throw' or 'resolve')
+   * @param {Array<string|Function>} [options.resolution] - Order of binary resolution strategies ('option', 'env', 'bundled', 'path', registered resolvers)
+   * @param {boolean} [options.strict] - Fail when tectonicPath, TECTONIC_PATH or a custom resolver names a binary that does not exist
+   * @param {boolean} [options.resolutionCache] - Reuse the process-wide memoized resolution (default: true); false looks the binary up again
+   */
   constructor (options) {
     options = options || {}
-    this.tectonicPath = options.tectonicPath || platformResolver.resolveTectonicExecutable(options)
-    
-    // Don't throw error in constructor - let isAvailable() handle it
-    // This allows isAvailable() to check without creating an error
-    if (!this.tectonicPath) {
+    this.resolveOptions = {
+      tectonicPath: options.tectonicPath,
+      resolution: options.resolution,
+      strict: options.strict || false
+    }
+    this.resolutionCache = options.resolutionCache !== false
+    this.tectonicPath = null
+    this.resolveError = null
+    this.resolveTectonicPath()
+    this.cacheDir = options.cacheDir ? path.resolve(options.cacheDir) : null
+    this.bundle = options.bundle || null
+    this.onlyCached = options.onlyCached || false
+    this.biberPath = options.biberPath || null
+    this.errorMode = options.errorMode || null
+    this.cache = null
+    if (options.cache instanceof CompileCache) {
+      this.cache = options.cache
+    } else if (options.cache) {
+      this.cache = new CompileCache(options.cache === true ? {} : options.cache)
+    }
+  }
+
+  /**
+   * Resolve the Tectonic executable with the compiler's resolve options
+   * Don't throw here - let isAvailable() and compile() handle it.
+   * Resolution errors (strict mode, invalid resolution) are kept for ensureTectonicPath().
+   * @private
+   */
+  resolveTectonicPath () {
+    try {
+      this.tectonicPath = this.resolutionCache
+        ? platformResolver.resolveTectonicExecutableCached(this.resolveOptions)
+        : platformResolver.resolveTectonicExecutable(this.resolveOptions)
+      this.resolveError = null
+    } catch (e) {
       this.tectonicPath = null
+      this.resolveError = e
     }
   }
 
@@ -107,8 +454,8 @@ class LatexCompiler {
    */
   isAvailable () {
     if (!this.tectonicPath) {
-      // Try to resolve again in case it wasn't available during construction
-      this.tectonicPath = platformResolver.resolveTectonicExecutable({})
+      // Resolve again, e.g. after invalidate() or with resolutionCache: false
+      this.resolveTectonicPath()
     }
     return this.tectonicPath !== null && fs.existsSync(this.tectonicPath)
   }
@@ -118,77 +465,200 @@ class LatexCompiler {
    * @returns {Promise<string|null>}
    */
   async getVersion () {
-    return new Promise((resolve, reject) => {
-      // Tectonic doesn't support --version, try --help and parse version from output
-      const cmd = `"${this.tectonicPath}" --help`
-      exec(cmd, { encoding: 'utf-8' }, (error, stdout, stderr) => {
-        if (error) {
-          resolve(null)
-        } else {
-          // Try to extract version from help output
-          const output = stdout || stderr
-          const versionMatch = output.match(/tectonic[-\s]+([\d.]+[\+\w-]*)/i)
-          if (versionMatch) {
-            resolve(versionMatch[1])
-          } else {
-            // If we can't parse version, at least confirm it's working
-            resolve(output.includes('tectonic') ? 'unknown' : null)
-          }
-        }
-      })
-    })
+    return getTectonicVersion(this.tectonicPath)
   }
 
   /**
    * Compile LaTeX to PDF
    * 
    * @param {Object} config - Compilation configuration
-   * @param {string} [config.tex] - LaTeX source text (if not using texFile)
+   * @param {string|LatexFragment} [config.tex] - LaTeX source text (if not using texFile), or a latex`...` template
    * @param {string} [config.texFile] - Path to .tex file
+   * @param {Buffer} [config.texBuffer] - LaTeX source as a Buffer (UTF-8), instead of tex
+   * @param {Object<string, string|Buffer>} [config.files] - Extra files (relative path -> content) placed next to `tex` or `texBuffer`
    * @param {string} [config.outputDir] - Output directory for PDF
    * @param {string} [config.outputFile] - Output PDF file path
    * @param {boolean} [config.returnBuffer] - If true, return PDF as Buffer instead of file path
    * @param {Function} [config.onStdout] - Callback for stdout data
    * @param {Function} [config.onStderr] - Callback for stderr data
-   * @returns {Promise<Object>} - { status: 'success'|'failed', pdfPath?: string, pdfBuffer?: Buffer, exitCode?: number, stdout?: string, stderr?: string }
+   * @param {Function} [config.onProgress] - Callback for compilation stages: { stage: 'tex-pass'|'bibtex'|'biber'|'xdvipdfmx'|'downloading-package'|'done', ... }
+   * @param {number} [config.timeoutMs] - Kill Tectonic and resolve with status 'timeout' after this many milliseconds
+   * @param {AbortSignal} [config.signal] - Kill Tectonic and resolve with status 'aborted' when aborted
+   * @param {boolean} [config.cache] - Set to false to bypass the compiler's cache for this call
+   * @param {boolean} [config.keepLogs] - Keep the .log file next to the PDF (--keep-logs)
+   * @param {boolean} [config.keepIntermediates] - Keep .aux and other intermediate files next to the PDF (--keep-intermediates)
+   * @param {boolean} [config.synctex] - Generate SyncTeX data (--synctex), returned as synctexPath, or synctexBuffer with returnBuffer
+   * @param {number} [config.reruns] - Number of TeX reruns (--reruns)
+   * @param {boolean} [config.print] - Print the engine's terminal output (--print)
+   * @param {boolean} [config.onlyCached] - Use only cached bundle resources (--only-cached)
+   * @param {string} [config.bundle] - Local bundle file or directory (--bundle)
+   * @param {string} [config.webBundle] - Web bundle URL (--web-bundle)
+   * @param {string} [config.outputFormat] - Output format: 'pdf' (default), 'xdv', 'aux', 'html' or 'fmt' (--outfmt)
+   * @param {Object} [config.unstable] - Unstable -Z options (continueOnErrors, deterministicMode, minCrossrefs, paperSize, searchPath)
+   * @param {boolean} [config.sandbox] - --untrusted, no shell escape, minimal environment, working directory in the
+   *   job workspace, and a best-effort source scan refusing file access outside it (see checkSandboxPolicy())
+   * @param {Object} [config.shellEscape] - Shell escape (\write18) limited to an allowlist: { enabled, allowedCommands, cwd };
+   *   invocations are returned as shellEscapeInvocations
+   * @param {string} [config.biberPath] - biber executable for biblatex documents (default: biber on PATH)
+   * @param {string} [config.errorMode] - 'throw' to throw CompilationError unless the compile succeeds, 'resolve' to
+   *   resolve errors that would be thrown as failed results; by default invalid configurations and missing inputs
+   *   throw, and compiles that run resolve
+   * @returns {Promise<Object>} - { status: 'success'|'failed'|'timeout'|'aborted', code?: string, pdfPath?: string, pdfBuffer?: Buffer, exitCode?: number, stdout?: string, stderr?: string, diagnostics: Array, artifacts?: Object, logPath?: string, synctexPath?: string, synctexBuffer?: Buffer, intermediates?: string[], violations?: Array, shellEscapeInvocations?: Array }
    */
   async compile (config) {
+    config = this.applyDefaults(config || {})
+    if (config.errorMode !== undefined && !ERROR_MODES.includes(config.errorMode)) {
+      throw new InvalidConfigError(`Invalid errorMode: ${config.errorMode}. Expected one of ${ERROR_MODES.join(', ')}.`, 'errorMode')
+    }
+    if (config.tex instanceof LatexFragment) {
+      config = Object.assign({}, config, { tex: config.tex.toString() })
+    }
+    const progress = config.onProgress ? new ProgressTracker(config.onProgress) : null
+
+    let result
+    try {
+      result = await this.runCompile(config, progress)
+    } catch (error) {
+      if (config.errorMode !== 'resolve') {
+        if (progress) {
+          progress.done({ status: 'failed' })
+        }
+        throw error
+      }
+      result = {
+        status: 'failed',
+        code: error.code || null,
+        exitCode: -1,
+        error: error.message,
+        stdout: '',
+        stderr: '',
+        diagnostics: []
+      }
+    }
+    if (result.status !== 'success' && !result.code) {
+      result.code = compilationErrorCode(result.status)
+    }
+
+    if (progress) {
+      progress.done(result)
+    }
+    if (config.errorMode === 'throw' && result.status !== 'success') {
+      throw new CompilationError(result)
+    }
+    return result
+  }
+
+  /**
+   * Compile LaTeX and report progress as events
+   *
+   * Events:
+   * - 'progress' (event) - A compilation stage, as passed to onProgress
+   * - 'stdout' (data) / 'stderr' (data) - Tectonic output
+   * - 'result' (result) - The compile finished, with the same result compile() resolves with
+   * - 'error' (error) - compile() threw, e.g. for an invalid configuration
+   *
+   * The compile starts on the next tick, so listeners can be attached first.
+   *
+   * @param {Object} config - Compilation configuration, as for compile()
+   * @returns {EventEmitter}
+   */
+  compileWithEvents (config) {
     config = config || {}
-    
-    // Ensure tectonicPath is available
-    if (!this.tectonicPath) {
-      this.tectonicPath = platformResolver.resolveTectonicExecutable({})
-      if (!this.tectonicPath) {
-        throw new Error(
-          'Tectonic executable not found. ' +
-          'Please install @node-latex-compiler/bin-* package for your platform, ' +
-          'or specify tectonicPath in options.'
-        )
+    const events = new EventEmitter()
+    const forward = (name, callback) => (data) => {
+      events.emit(name, data)
+      if (callback) {
+        callback(data)
       }
     }
+    process.nextTick(() => {
+      this.compile(Object.assign({}, config, {
+        onStdout: forward('stdout', config.onStdout),
+        onStderr: forward('stderr', config.onStderr),
+        onProgress: forward('progress', config.onProgress)
+      })).then(
+        (result) => events.emit('result', result),
+        (error) => events.emit('error', error)
+      )
+    })
+    return events
+  }
+
+  /**
+   * Run one compile for compile()
+   * @private
+   */
+  async runCompile (config, progress) {
+    this.ensureTectonicPath()
+    
+    // Reject invalid Tectonic options before creating any files
+    validateTectonicOptions(config)
+    validateSandboxOption(config)
+    validateShellEscapeOption(config)
     
     // Determine input source
     let tempTexPath = null
-    let shouldCleanupTemp = false
+    let workspaceDir = null
+    let shellEscapeDir = null
     let result = null
     
     try {
       // Get temp directory for all temporary files
       const tempDir = getTempDir()
       
+      if (config.texBuffer !== undefined && !Buffer.isBuffer(config.texBuffer)) {
+        throw new InvalidConfigError('Invalid texBuffer: expected a Buffer', 'texBuffer')
+      }
+      
+      if (config.files && !config.tex && !config.texBuffer) {
+        throw new InvalidConfigError('The files option can only be used together with tex or texBuffer', 'files')
+      }
+      
       if (config.texFile) {
         // Use provided file
         if (!fs.existsSync(config.texFile)) {
-          throw new Error(`LaTeX file not found: ${config.texFile}`)
+          throw new InputNotFoundError(`LaTeX file not found: ${config.texFile}`, config.texFile, 'texFile')
         }
         tempTexPath = config.texFile
-      } else if (config.tex) {
-        // Create temporary file from text in temp directory
-        tempTexPath = path.join(tempDir, `__temp_compile_${Date.now()}.tex`)
-        fs.writeFileSync(tempTexPath, config.tex, 'utf-8')
-        shouldCleanupTemp = true
+        workspaceDir = createJobWorkspace()
+      } else if (config.tex || config.texBuffer) {
+        // Text input and its auxiliary files are laid out in the job workspace.
+        // The random suffix keeps the default PDF name unique in the shared temp directory
+        workspaceDir = createJobWorkspace()
+        if (config.files) {
+          writeWorkspaceFiles(workspaceDir, config.files)
+        }
+        const uniqueId = crypto.randomBytes(4).toString('hex')
+        tempTexPath = path.join(workspaceDir, `__temp_compile_${Date.now()}_${uniqueId}.tex`)
+        fs.writeFileSync(tempTexPath, config.tex || config.texBuffer)
       } else {
-        throw new Error('Either tex or texFile must be provided')
+        throw new InvalidConfigError('Either tex, texBuffer or texFile must be provided', 'tex')
+      }
+      
+      if (config.timeoutMs !== undefined && !(typeof config.timeoutMs === 'number' && config.timeoutMs > 0)) {
+        throw new InvalidConfigError(`Invalid timeoutMs: ${config.timeoutMs}. Expected a positive number of milliseconds.`, 'timeoutMs')
+      }
+
+      // Untrusted input must pass the sandbox policy before Tectonic sees it
+      if (config.sandbox) {
+        const violations = checkSandboxPolicy(config)
+        if (violations.length > 0) {
+          return {
+            status: 'failed',
+            exitCode: -1,
+            error: `Sandbox policy violation: ${violations[0].message}`,
+            stdout: '',
+            stderr: '',
+            diagnostics: violations.map(v => ({
+              severity: 'error',
+              file: v.file,
+              line: v.line,
+              message: v.message,
+              context: v.context
+            })),
+            violations
+          }
+        }
       }
 
       // Determine output path
@@ -196,130 +666,674 @@ class LatexCompiler {
       const outputDir = config.outputDir || (config.texFile ? path.dirname(config.texFile) : tempDir)
       this.ensureDirectoryExists(outputDir)
       
-      // For compilation, use temp directory to avoid polluting output directory
-      const compileOutputDir = tempDir
+      // For compilation, use the job workspace to avoid polluting output directory
+      const compileOutputDir = workspaceDir
 
-      let finalPdfPath = null
+      // Tectonic names its output after the input, with the extension of the output format
+      const outputFormat = config.outputFormat || 'pdf'
+      let finalOutputPath = null
       if (config.outputFile) {
-        finalPdfPath = path.resolve(config.outputFile)
+        finalOutputPath = path.resolve(config.outputFile)
         // Ensure the parent directory of outputFile exists and is a directory
-        const outputFileDir = path.dirname(finalPdfPath)
+        const outputFileDir = path.dirname(finalOutputPath)
         // Check parent directory if it's different from the already-checked outputDir
         if (outputFileDir !== outputDir) {
           this.ensureDirectoryExists(outputFileDir)
         }
       } else if (config.texFile) {
         const baseName = path.basename(config.texFile, path.extname(config.texFile))
-        finalPdfPath = path.join(outputDir, `${baseName}.pdf`)
+        finalOutputPath = path.join(outputDir, `${baseName}.${outputFormat}`)
       } else {
         const baseName = path.basename(tempTexPath, path.extname(tempTexPath))
-        finalPdfPath = path.join(outputDir, `${baseName}.pdf`)
+        finalOutputPath = path.join(outputDir, `${baseName}.${outputFormat}`)
+      }
+
+      // Serve identical compilations from the cache without spawning Tectonic
+      let cacheKey = null
+      const hasSideOutputs = SIDE_OUTPUT_OPTIONS.some(name => config[name])
+      const shellEscapeEnabled = Boolean(config.shellEscape && config.shellEscape.enabled)
+      // Files in search path directories can't be listed, so those compiles always run
+      const searchPath = config.unstable && config.unstable.searchPath
+      if (this.cache && config.cache !== false && !hasSideOutputs && !shellEscapeEnabled && outputFormat === 'pdf' && !searchPath) {
+        cacheKey = await this.getCacheKey(config)
+        const cached = cacheKey ? this.cache.get(cacheKey) : null
+        if (cached) {
+          if (config.returnBuffer) {
+            return {
+              status: 'success',
+              pdfBuffer: cached.pdfBuffer,
+              stdout: '',
+              stderr: '',
+              diagnostics: cached.diagnostics,
+              artifacts: { pdf: { buffer: cached.pdfBuffer } },
+              fromCache: true
+            }
+          }
+          fs.writeFileSync(finalOutputPath, cached.pdfBuffer)
+          return {
+            status: 'success',
+            pdfPath: finalOutputPath,
+            stdout: '',
+            stderr: '',
+            diagnostics: cached.diagnostics,
+            artifacts: { pdf: { path: finalOutputPath } },
+            fromCache: true
+          }
+        }
+      }
+
+      // Map file names reported by Tectonic back to names the caller knows
+      let diagnosticOptions
+      if (config.texFile) {
+        diagnosticOptions = {
+          mainFile: path.basename(config.texFile),
+          baseDir: path.dirname(path.resolve(config.texFile))
+        }
+      } else {
+        diagnosticOptions = {
+          fileMap: {
+            [tempTexPath]: INPUT_FILE_NAME,
+            [path.basename(tempTexPath)]: INPUT_FILE_NAME
+          },
+          mainFile: INPUT_FILE_NAME,
+          sources: { [INPUT_FILE_NAME]: config.tex || config.texBuffer },
+          baseDir: workspaceDir
+        }
+      }
+
+      // Files present before compiling are inputs, anything new is output
+      const inputFiles = new Set(listFilesRecursive(compileOutputDir))
+
+      if (this.cacheDir) {
+        fs.mkdirSync(this.cacheDir, { recursive: true })
+      }
+
+      // Shell escape goes through the allowlist wrapper, set up outside the workspace
+      let shellEscape = null
+      if (shellEscapeEnabled) {
+        const shellEscapeCwd = config.shellEscape.cwd ? path.resolve(config.shellEscape.cwd) : workspaceDir
+        if (!fs.existsSync(shellEscapeCwd) || !fs.statSync(shellEscapeCwd).isDirectory()) {
+          throw new InputNotFoundError(`Shell escape directory not found: ${config.shellEscape.cwd}`, config.shellEscape.cwd, 'shellEscape.cwd')
+        }
+        shellEscapeDir = createJobWorkspace()
+        shellEscape = Object.assign({ cwd: shellEscapeCwd }, prepareShellEscape(config.shellEscape, shellEscapeDir))
       }
 
       // Execute compilation (output to temp directory first)
-      result = await this.executeCompilation({
+      const executeConfig = {
         texPath: tempTexPath,
         outputDir: compileOutputDir,
         onStdout: config.onStdout,
-        onStderr: config.onStderr
-      })
+        onStderr: config.onStderr,
+        timeoutMs: config.timeoutMs,
+        signal: config.signal,
+        sandbox: config.sandbox,
+        shellEscape,
+        cacheDir: this.cacheDir,
+        progress,
+        args: buildTectonicArgs(config),
+        diagnostics: diagnosticOptions
+      }
+      result = await this.executeWithBiber(executeConfig, config)
+      if (result.status === 'failed') {
+        explainMissingResources(result, config, this.cacheDir)
+      }
+
+      // Logs, SyncTeX data and intermediates are kept next to the final output
+      const sideOutputs = hasSideOutputs
+        ? this.keepSideOutputs(tempTexPath, compileOutputDir, finalOutputPath, config)
+        : {}
 
       // Handle output
       if (result.status === 'success') {
-        // Tectonic generates PDF with the same name as input file in compileOutputDir
-        const tempPdfPath = this.getTempPdfPath(tempTexPath, compileOutputDir)
+        // Tectonic generates output with the same name as input file in compileOutputDir
+        const tempOutputPath = this.getTempOutputPath(tempTexPath, compileOutputDir, outputFormat)
         
-        if (fs.existsSync(tempPdfPath)) {
+        if (fs.existsSync(tempOutputPath)) {
+          if (cacheKey) {
+            this.cache.set(cacheKey, {
+              pdfBuffer: fs.readFileSync(tempOutputPath),
+              diagnostics: result.diagnostics
+            })
+          }
+          
+          const artifact = {}
           if (config.returnBuffer) {
-            // Read PDF as buffer
-            const pdfBuffer = fs.readFileSync(tempPdfPath)
+            // Read output as buffer
+            artifact.buffer = fs.readFileSync(tempOutputPath)
             
-            // Cleanup temp PDF if it's different from final path
-            if (tempPdfPath !== finalPdfPath) {
-              fs.unlinkSync(tempPdfPath)
-            }
-            
-            return {
-              status: 'success',
-              pdfBuffer: pdfBuffer,
-              stdout: result.stdout,
-              stderr: result.stderr
+            // Cleanup temp output if it's different from final path
+            if (tempOutputPath !== finalOutputPath) {
+              fs.unlinkSync(tempOutputPath)
             }
           } else {
             // Move/rename to final path (cross-device safe: copy+unlink on EXDEV)
-            if (tempPdfPath !== finalPdfPath) {
-              if (fs.existsSync(finalPdfPath)) {
-                fs.unlinkSync(finalPdfPath)
+            if (tempOutputPath !== finalOutputPath) {
+              if (fs.existsSync(finalOutputPath)) {
+                fs.unlinkSync(finalOutputPath)
               }
-              moveFileSync(tempPdfPath, finalPdfPath)
+              moveFileSync(tempOutputPath, finalOutputPath)
             }
-            
-            return {
-              status: 'success',
-              pdfPath: finalPdfPath,
-              stdout: result.stdout,
-              stderr: result.stderr
+            artifact.path = finalOutputPath
+          }
+          
+          // HTML output comes with companion files (other pages, styles, images)
+          if (outputFormat === 'html') {
+            artifact.files = this.collectCompanionOutputs(tempTexPath, compileOutputDir, inputFiles, finalOutputPath, config.returnBuffer)
+          }
+          
+          const output = {
+            status: 'success',
+            stdout: result.stdout,
+            stderr: result.stderr,
+            diagnostics: result.diagnostics,
+            artifacts: { [outputFormat]: artifact }
+          }
+          if (result.shellEscapeInvocations) {
+            output.shellEscapeInvocations = result.shellEscapeInvocations
+          }
+          if (outputFormat === 'pdf') {
+            if (config.returnBuffer) {
+              output.pdfBuffer = artifact.buffer
+            } else {
+              output.pdfPath = artifact.path
             }
           }
+          return Object.assign(output, sideOutputs)
         } else {
-          return {
+          return Object.assign({
             status: 'failed',
             exitCode: result.exitCode || -1,
-            error: 'PDF file was not generated',
+            error: `${outputFormat.toUpperCase()} file was not generated`,
             stdout: result.stdout,
-            stderr: result.stderr
-          }
+            stderr: result.stderr,
+            diagnostics: result.diagnostics,
+            shellEscapeInvocations: result.shellEscapeInvocations
+          }, sideOutputs)
         }
       } else {
-        return result
+        return Object.assign(result, sideOutputs)
       }
     } finally {
-      // Cleanup temporary files
-      if (shouldCleanupTemp && tempTexPath && fs.existsSync(tempTexPath)) {
-        try {
-          fs.unlinkSync(tempTexPath)
-        } catch (e) {
-          // Ignore cleanup errors
+      // Remove this job's workspace (temporary source, auxiliary files and unmoved outputs)
+      if (workspaceDir) {
+        removeJobWorkspace(workspaceDir)
+      }
+      if (shellEscapeDir) {
+        removeJobWorkspace(shellEscapeDir)
+      }
+    }
+  }
+
+  /**
+   * Compile LaTeX read from a stream and stream the PDF back
+   * The source is collected as a Buffer (texBuffer) and the PDF is streamed from a job
+   * directory that is removed once the stream closes. The stream emits 'result' with the
+   * compile result before any data; failed compiles destroy it with a CompilationError
+   * whose `result` is the compile result.
+   *
+   * @param {stream.Readable} readable - LaTeX source
+   * @param {Object} [options] - Compile options as for compile(), except tex, texFile, texBuffer,
+   *   outputDir, outputFile, returnBuffer and outputFormat
+   * @returns {stream.Readable} - PDF stream
+   */
+  compileStream (readable, options) {
+    const output = new PassThrough()
+    const outputDir = createJobWorkspace()
+
+    // Remove the job directory once the compile has settled and the stream is closed
+    let pending = 2
+    const release = () => {
+      if (--pending === 0) {
+        removeJobWorkspace(outputDir)
+      }
+    }
+    output.once('close', release)
+
+    readStreamToBuffer(readable)
+      .then((texBuffer) => this.compile(Object.assign({}, options, {
+        tex: undefined,
+        texFile: undefined,
+        texBuffer,
+        outputDir,
+        outputFile: path.join(outputDir, 'output.pdf'),
+        returnBuffer: false,
+        outputFormat: 'pdf'
+      })))
+      .then((result) => {
+        if (result.status !== 'success') {
+          throw new CompilationError(result)
         }
+        output.emit('result', result)
+        const pdf = fs.createReadStream(result.pdfPath)
+        pdf.on('error', (error) => output.destroy(error))
+        pdf.on('close', release)
+        pdf.pipe(output)
+      })
+      .catch((error) => {
+        release()
+        output.destroy(error)
+      })
+
+    return output
+  }
+
+  /**
+   * Build a Tectonic V2 workspace (Tectonic.toml) with `tectonic -X build`
+   * Each output is built with its own --target run, so diagnostics are reported per output.
+   *
+   * @param {Object} config - Build configuration
+   * @param {string} config.projectDir - Directory containing Tectonic.toml
+   * @param {string[]} [config.outputs] - Names of the outputs to build (default: every [[output]] in Tectonic.toml)
+   * @param {boolean} [config.keepLogs] - Keep .log files in the build directory (--keep-logs)
+   * @param {boolean} [config.keepIntermediates] - Keep intermediate files in the build directory (--keep-intermediates)
+   * @param {boolean} [config.onlyCached] - Use only cached bundle resources (--only-cached)
+   * @param {Function} [config.onStdout] - Callback for stdout data
+   * @param {Function} [config.onStderr] - Callback for stderr data
+   * @param {number} [config.timeoutMs] - Per-output timeout in milliseconds
+   * @param {AbortSignal} [config.signal] - Stop building when aborted
+   * @returns {Promise<Object>} - { status, outputs: { [name]: { status, type, artifacts, diagnostics, exitCode?, error?, stdout, stderr } } }
+   */
+  async build (config) {
+    config = config || {}
+    this.ensureTectonicPath()
+
+    if (!config.projectDir) {
+      throw new InvalidConfigError('build() requires projectDir', 'projectDir')
+    }
+    for (const name of ['keepLogs', 'keepIntermediates', 'onlyCached']) {
+      if (config[name] !== undefined && typeof config[name] !== 'boolean') {
+        throw new InvalidConfigError(`Invalid ${name}: expected a boolean`, name)
       }
-      
-      // Cleanup temporary PDF if it was created in temp directory and not moved
-      if (result && result.status === 'success' && tempTexPath) {
-        const tempPdfPath = this.getTempPdfPath(tempTexPath, getTempDir())
-        if (fs.existsSync(tempPdfPath)) {
-          // Only cleanup if it's in temp directory and not the final output
-          const finalPdfPath = config.outputFile 
-            ? path.resolve(config.outputFile)
-            : (config.texFile 
-              ? path.join(outputDir, path.basename(config.texFile, path.extname(config.texFile)) + '.pdf')
-              : null)
-          
-          if (finalPdfPath && tempPdfPath !== finalPdfPath && tempPdfPath.startsWith(getTempDir())) {
-            try {
-              fs.unlinkSync(tempPdfPath)
-            } catch (e) {
-              // Ignore cleanup errors
-            }
-          }
+    }
+    if (config.timeoutMs !== undefined && !(typeof config.timeoutMs === 'number' && config.timeoutMs > 0)) {
+      throw new InvalidConfigError(`Invalid timeoutMs: ${config.timeoutMs}. Expected a positive number of milliseconds.`, 'timeoutMs')
+    }
+
+    const projectDir = path.resolve(config.projectDir)
+    const declared = readWorkspaceOutputs(projectDir)
+    let selected = declared
+    if (config.outputs !== undefined) {
+      if (!Array.isArray(config.outputs)) {
+        throw new InvalidConfigError('Invalid outputs: expected an array of output names', 'outputs')
+      }
+      selected = config.outputs.map((name) => {
+        const output = declared.find(candidate => candidate.name === name)
+        if (!output) {
+          throw new InvalidConfigError(`Unknown output "${name}". Tectonic.toml declares: ${declared.map(o => o.name).join(', ')}`, 'outputs')
+        }
+        return output
+      })
+    }
+
+    const flags = []
+    if (config.keepLogs) {
+      flags.push('--keep-logs')
+    }
+    if (config.keepIntermediates) {
+      flags.push('--keep-intermediates')
+    }
+    const onlyCached = config.onlyCached !== undefined ? config.onlyCached : this.onlyCached
+    if (onlyCached) {
+      flags.push('--only-cached')
+    }
+    if (this.cacheDir) {
+      fs.mkdirSync(this.cacheDir, { recursive: true })
+    }
+
+    const outputs = {}
+    let aborted = false
+    for (const output of selected) {
+      if (aborted) {
+        outputs[output.name] = { status: 'aborted', type: output.type, artifacts: {}, diagnostics: [], error: 'Build aborted' }
+        continue
+      }
+
+      const result = await this.executeCompilation({
+        argv: ['-X', 'build', '--target', output.name].concat(flags),
+        cwd: projectDir,
+        onStdout: config.onStdout,
+        onStderr: config.onStderr,
+        timeoutMs: config.timeoutMs,
+        signal: config.signal,
+        cacheDir: this.cacheDir,
+        diagnostics: { baseDir: path.join(projectDir, 'src') }
+      })
+      if (result.status === 'failed') {
+        explainMissingResources(result, { onlyCached }, this.cacheDir)
+      }
+
+      const outputResult = Object.assign({}, result, { type: output.type, artifacts: {} })
+      if (result.status === 'success') {
+        outputResult.artifacts = collectWorkspaceArtifacts(projectDir, output)
+        if (!outputResult.artifacts[output.type]) {
+          outputResult.status = 'failed'
+          outputResult.error = `${output.type.toUpperCase()} file was not generated`
+        }
+      }
+      outputs[output.name] = outputResult
+      aborted = outputResult.status === 'aborted'
+    }
+
+    const unsuccessful = Object.keys(outputs).map(name => outputs[name]).find(output => output.status !== 'success')
+    return { status: unsuccessful ? unsuccessful.status : 'success', projectDir, outputs }
+  }
+
+  /**
+   * Create a new Tectonic V2 workspace with `tectonic -X new`
+   *
+   * @param {string} dir - Directory to create (must not exist yet)
+   * @returns {Promise<Object>} - { status, projectDir, exitCode, stdout, stderr, diagnostics, error? }
+   */
+  async newProject (dir) {
+    this.ensureTectonicPath()
+    if (!dir) {
+      throw new InvalidConfigError('newProject() requires a directory', 'dir')
+    }
+
+    const projectDir = path.resolve(dir)
+    fs.mkdirSync(path.dirname(projectDir), { recursive: true })
+    const result = await this.executeCompilation({
+      argv: ['-X', 'new', projectDir],
+      cwd: path.dirname(projectDir),
+      cacheDir: this.cacheDir
+    })
+    return Object.assign({ projectDir }, result)
+  }
+
+  /**
+   * Resolve the biber executable for a compile: biberPath, or biber on PATH
+   * @private
+   */
+  resolveBiber (config) {
+    if (config.biberPath) {
+      const biberPath = path.resolve(config.biberPath)
+      if (!fs.existsSync(biberPath)) {
+        throw new InputNotFoundError(`biber not found: ${config.biberPath}`, config.biberPath, 'biberPath')
+      }
+      return biberPath
+    }
+    return platformResolver.findExecutableInPath('biber')
+  }
+
+  /**
+   * Run TeX passes with biber in between until the .bcf or .bbl file stops changing
+   * biblatex writes a .bcf only for the biber backend, so documents whose first pass
+   * leaves none are compiled in that single pass. Biber's warnings and errors are
+   * added to the diagnostics of the last TeX pass.
+   * @private
+   */
+  async executeWithBiber (executeConfig, config) {
+    const { texPath, outputDir } = executeConfig
+    const jobName = path.basename(texPath, path.extname(texPath))
+    const bcfPath = path.join(outputDir, `${jobName}.bcf`)
+    const bblPath = path.join(outputDir, `${jobName}.bbl`)
+
+    // Keep the .bcf for biber; the workspace is discarded, so other intermediates do no harm
+    let args = executeConfig.args
+    if (!args.includes('--keep-intermediates')) {
+      args = args.concat(['--keep-intermediates'])
+    }
+
+    // timeoutMs covers all passes together
+    const deadline = executeConfig.timeoutMs ? Date.now() + executeConfig.timeoutMs : null
+    const remaining = () => (deadline ? Math.max(1, deadline - Date.now()) : undefined)
+
+    let result = null
+    let biberPath = null
+    let biberDiagnostics = []
+    let previousBcf = null
+    for (let pass = 1; pass <= MAX_BIBER_PASSES; pass++) {
+      result = await this.executeCompilation(Object.assign({}, executeConfig, { args, timeoutMs: remaining() }))
+      if (result.status !== 'success') {
+        break
+      }
+
+      const bcf = readFileIfExists(bcfPath)
+      if (!bcf || (previousBcf && bcf.equals(previousBcf)) || pass === MAX_BIBER_PASSES) {
+        break
+      }
+      previousBcf = bcf
+
+      if (!biberPath) {
+        biberPath = this.resolveBiber(config)
+        if (!biberPath) {
+          return Object.assign(result, {
+            status: 'failed',
+            exitCode: -1,
+            error: 'This document uses biblatex with the biber backend, but biber was not found. Install biber or set biberPath.'
+          })
         }
+        // Let later passes find the .bbl biber writes
+        args = args.concat(['-Z', `search-path=${outputDir}`])
+      }
+
+      const previousBbl = readFileIfExists(bblPath)
+      if (executeConfig.progress) {
+        executeConfig.progress.emit({ stage: 'biber', message: `Running biber on ${jobName}.bcf` })
+      }
+      // Data sources are found next to the main file; the .bbl stays in the workspace
+      const biber = await this.executeCompilation({
+        command: biberPath,
+        argv: ['--input-directory', path.dirname(path.resolve(texPath)), '--output-directory', outputDir, jobName],
+        cwd: outputDir,
+        onStdout: executeConfig.onStdout,
+        onStderr: executeConfig.onStderr,
+        timeoutMs: remaining(),
+        signal: executeConfig.signal
+      })
+      biberDiagnostics = parseBiberOutput(`${biber.stdout}\n${biber.stderr}`)
+      if (biber.status !== 'success') {
+        return Object.assign(biber, {
+          error: biber.error || `biber exited with code ${biber.exitCode}`,
+          diagnostics: result.diagnostics.concat(biberDiagnostics)
+        })
+      }
+
+      // An unchanged .bbl means the pass that just ran already used the final bibliography
+      const bbl = readFileIfExists(bblPath)
+      if (previousBbl && bbl && bbl.equals(previousBbl)) {
+        break
       }
     }
+
+    result.diagnostics = result.diagnostics.concat(biberDiagnostics)
+    return result
+  }
+
+  /**
+   * Resolve the Tectonic executable, throwing if it cannot be found
+   * @private
+   */
+  ensureTectonicPath () {
+    if (!this.tectonicPath) {
+      this.resolveTectonicPath()
+      if (this.resolveError) {
+        throw this.resolveError
+      }
+      if (!this.tectonicPath) {
+        throw new TectonicNotFoundError(
+          'Tectonic executable not found. ' +
+          'Please install @node-latex-compiler/bin-* package for your platform, ' +
+          'or specify tectonicPath in options.'
+        )
+      }
+    }
+  }
+
+  /**
+   * Apply the compiler's bundle, onlyCached, biberPath and errorMode defaults to a compile configuration
+   * Per-call bundle, webBundle, onlyCached, biberPath and errorMode take precedence
+   * @private
+   */
+  applyDefaults (config) {
+    const defaults = {}
+    if (this.bundle && config.bundle === undefined && config.webBundle === undefined) {
+      defaults.bundle = this.bundle
+    }
+    if (this.onlyCached && config.onlyCached === undefined) {
+      defaults.onlyCached = this.onlyCached
+    }
+    if (this.biberPath && config.biberPath === undefined) {
+      defaults.biberPath = this.biberPath
+    }
+    if (this.errorMode && config.errorMode === undefined) {
+      defaults.errorMode = this.errorMode
+    }
+    return Object.keys(defaults).length > 0 ? Object.assign({}, config, defaults) : config
+  }
+
+  /**
+   * Watch a .tex file and recompile when it or anything it pulls in changes
+   * (\input, \include, \includegraphics, \bibliography, ...)
+   * 
+   * @param {Object} config - Compilation configuration (same as compile(), texFile required)
+   * @param {number} [config.debounceMs] - Delay after the last change before recompiling (default: 100)
+   * @returns {CompileWatcher} - EventEmitter emitting 'compile-start', 'compile-success' and 'compile-error'
+   */
+  watch (config) {
+    return new CompileWatcher(this, config)
+  }
+
+  /**
+   * Get the Tectonic version once per compiler for cache keys
+   * @private
+   */
+  getCacheVersion () {
+    if (!this.cacheVersion) {
+      this.cacheVersion = this.getVersion()
+    }
+    return this.cacheVersion
+  }
+
+  /**
+   * Compute the cache key of a compilation from its source, auxiliary inputs,
+   * the Tectonic version and the options that affect the output
+   * Returns null for a `texFile` whose inputs can't all be listed, which is not cached.
+   * @private
+   */
+  async getCacheKey (config) {
+    const options = {}
+    for (const name of Object.keys(config)) {
+      if (!CACHE_IGNORED_OPTIONS.includes(name) && typeof config[name] !== 'function') {
+        options[name] = config[name]
+      }
+    }
+
+    let source
+    let files = {}
+    if (config.texFile) {
+      // Files pulled in from disk are auxiliary inputs too
+      const texPath = path.resolve(config.texFile)
+      source = fs.readFileSync(texPath)
+      options.jobName = path.basename(texPath, path.extname(texPath))
+      const dependencies = scanDependencies(texPath)
+      if (!dependencies.complete) {
+        return null
+      }
+      for (const dependency of dependencies.files) {
+        const relativePath = path.relative(path.dirname(texPath), dependency).split(path.sep).join('/')
+        try {
+          files[relativePath] = fs.readFileSync(dependency)
+        } catch (e) {
+          // Unreadable dependency: leave it out of the key
+        }
+      }
+    } else {
+      source = config.tex || config.texBuffer
+      files = config.files || {}
+    }
+
+    return this.cache.key({
+      source,
+      files,
+      version: await this.getCacheVersion(),
+      options
+    })
   }
 
   /**
    * Execute Tectonic compilation command
+   * Resolves with structured diagnostics parsed from the output.
+   * The child process is killed when `timeoutMs` elapses or `signal` is aborted,
+   * in which case the result status is 'timeout' or 'aborted'.
+   * With `sandbox`, Tectonic runs with --untrusted and a minimal environment in `outputDir`.
+   * With `shellEscape` (from prepareShellEscape()), \write18 commands go through the allowlist
+   * wrapper and the recorded invocations are returned as `shellEscapeInvocations`.
+   * With `cacheDir`, Tectonic keeps its package cache there (TECTONIC_CACHE_DIR).
+   * With `progress` (a ProgressTracker), stage notes in the output are reported as they arrive.
+   * `argv` and `cwd` replace the V1 single-file invocation, e.g. for `-X build`;
+   * `command` runs another executable (biber) instead of Tectonic.
    * @private
    */
   executeCompilation (config) {
     return new Promise((resolve) => {
-      const { texPath, outputDir, onStdout, onStderr } = config
-      
-      const cmd = `"${this.tectonicPath}" "${texPath}" --outdir="${outputDir}"`
+      const { texPath, outputDir, onStdout, onStderr, timeoutMs, signal, sandbox, shellEscape, cacheDir, progress } = config
+      const extraArgs = (config.args || []).concat(sandbox ? ['--untrusted'] : [])
+      if (shellEscape) {
+        extraArgs.push('-Z', 'shell-escape', '-Z', `shell-escape-cwd=${shellEscape.cwd}`)
+      }
+      const args = config.argv || [texPath, `--outdir=${outputDir}`].concat(extraArgs)
+      const diagnosticOptions = config.diagnostics || {}
       
       let stdout = ''
       let stderr = ''
+      let terminationReason = null
+      let timer = null
+      let settled = false
+      
+      const finish = (result) => {
+        if (settled) {
+          return
+        }
+        settled = true
+        if (timer) {
+          clearTimeout(timer)
+        }
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+        if (progress) {
+          progress.flush()
+        }
+        result.stdout = stdout
+        result.stderr = stderr
+        result.diagnostics = parseDiagnostics(stdout + '\n' + stderr, diagnosticOptions)
+        if (shellEscape) {
+          result.shellEscapeInvocations = readInvocations(shellEscape.logPath)
+        }
+        resolve(result)
+      }
       
-      const child = exec(cmd, { encoding: 'utf-8' })
+      const onAbort = () => {
+        terminationReason = 'aborted'
+        child.kill('SIGKILL')
+      }
+      
+      if (signal && signal.aborted) {
+        finish({ status: 'aborted', exitCode: -1, error: 'Compilation aborted' })
+        return
+      }
+      
+      // Spawn without a shell so that killing the child stops Tectonic itself
+      const spawnOptions = { stdio: ['ignore', 'pipe', 'pipe'] }
+      if (config.cwd) {
+        spawnOptions.cwd = config.cwd
+      }
+      if (sandbox) {
+        spawnOptions.cwd = outputDir
+        spawnOptions.env = createSandboxEnv()
+      } else if (shellEscape) {
+        // Tectonic looks up `sh` on PATH, which finds the wrapper first
+        spawnOptions.env = Object.assign({}, process.env, {
+          PATH: shellEscape.binDir + path.delimiter + (process.env.PATH || ''),
+          [CONFIG_ENV]: shellEscape.configPath
+        })
+      }
+      if (cacheDir) {
+        spawnOptions.env = Object.assign({}, spawnOptions.env || process.env, { TECTONIC_CACHE_DIR: cacheDir })
+      }
+      const child = spawn(config.command || this.tectonicPath, args, spawnOptions)
       
       if (child.stdout) {
         child.stdout.on('data', (data) => {
@@ -328,6 +1342,9 @@ class LatexCompiler {
           if (onStdout) {
             onStdout(text)
           }
+          if (progress) {
+            progress.push('stdout', text)
+          }
         })
       }
       
@@ -338,46 +1355,161 @@ class LatexCompiler {
           if (onStderr) {
             onStderr(text)
           }
+          if (progress) {
+            progress.push('stderr', text)
+          }
         })
       }
       
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          terminationReason = 'timeout'
+          child.kill('SIGKILL')
+        }, timeoutMs)
+      }
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort)
+      }
+      
       child.on('close', (code) => {
-        if (code === 0) {
-          resolve({
-            status: 'success',
-            exitCode: 0,
-            stdout: stdout,
-            stderr: stderr
-          })
+        if (terminationReason === 'timeout') {
+          finish({ status: 'timeout', exitCode: -1, error: `Compilation timed out after ${timeoutMs}ms` })
+        } else if (terminationReason === 'aborted') {
+          finish({ status: 'aborted', exitCode: -1, error: 'Compilation aborted' })
+        } else if (code === 0) {
+          finish({ status: 'success', exitCode: 0 })
         } else {
-          resolve({
-            status: 'failed',
-            exitCode: code,
-            stdout: stdout,
-            stderr: stderr
-          })
+          finish({ status: 'failed', exitCode: code })
         }
       })
       
       child.on('error', (error) => {
-        resolve({
-          status: 'failed',
-          exitCode: -1,
-          error: error.message,
-          stdout: stdout,
-          stderr: stderr
-        })
+        finish({ status: 'failed', exitCode: -1, error: error.message })
       })
     })
   }
 
+  /**
+   * Copy the log, SyncTeX and intermediate files Tectonic wrote to the job workspace
+   * next to the final output, renamed after it
+   * @private
+   */
+  keepSideOutputs (texPath, workspaceDir, finalOutputPath, config) {
+    const sourceBase = path.basename(texPath, path.extname(texPath))
+    const targetDir = path.dirname(finalOutputPath)
+    const targetBase = path.basename(finalOutputPath, path.extname(finalOutputPath))
+    const outputSuffix = `.${config.outputFormat || 'pdf'}`
+    const kept = {}
+
+    let entries
+    try {
+      entries = fs.readdirSync(workspaceDir)
+    } catch (e) {
+      return kept
+    }
+
+    for (const entry of entries) {
+      if (!entry.startsWith(`${sourceBase}.`)) {
+        continue
+      }
+      const suffix = entry.slice(sourceBase.length)
+      if (suffix === '.tex' || suffix === '.pdf' || suffix === outputSuffix) {
+        continue
+      }
+
+      let key = null
+      if (suffix === '.log') {
+        key = config.keepLogs ? 'logPath' : null
+      } else if (suffix === '.synctex.gz') {
+        key = config.synctex ? 'synctexPath' : null
+      } else if (config.keepIntermediates) {
+        key = 'intermediates'
+      }
+      if (!key) {
+        continue
+      }
+
+      const targetPath = path.join(targetDir, targetBase + suffix)
+      if (key === 'synctexPath') {
+        // SyncTeX data for `tex` input refers to the temporary files; map them to logical names
+        try {
+          let data = fs.readFileSync(path.join(workspaceDir, entry))
+          if (!config.texFile) {
+            data = rewriteInputs(data, name => toLogicalInputName(name, texPath, workspaceDir))
+          }
+          if (config.returnBuffer) {
+            kept.synctexBuffer = data
+          } else {
+            fs.writeFileSync(targetPath, data)
+            kept.synctexPath = targetPath
+          }
+        } catch (e) {
+          // Unreadable SyncTeX data is left out of the result
+        }
+        continue
+      }
+
+      try {
+        fs.copyFileSync(path.join(workspaceDir, entry), targetPath)
+      } catch (e) {
+        continue
+      }
+      if (key === 'intermediates') {
+        kept.intermediates = (kept.intermediates || []).concat(targetPath)
+      } else {
+        kept[key] = targetPath
+      }
+    }
+
+    return kept
+  }
+
+  /**
+   * Collect files an HTML compile wrote besides the main page
+   * Copies them next to the final output (keeping relative paths), or reads them as buffers
+   * @private
+   */
+  collectCompanionOutputs (texPath, workspaceDir, inputFiles, finalOutputPath, returnBuffer) {
+    const sourceBase = path.basename(texPath, path.extname(texPath))
+    const targetDir = path.dirname(finalOutputPath)
+    const companions = []
+
+    for (const relativePath of listFilesRecursive(workspaceDir)) {
+      // Skip inputs and the main output's own side files (logs, intermediates)
+      if (inputFiles.has(relativePath) || relativePath.startsWith(`${sourceBase}.`)) {
+        continue
+      }
+      const sourcePath = path.join(workspaceDir, relativePath)
+      const name = relativePath.split(path.sep).join('/')
+      if (returnBuffer) {
+        companions.push({ name, buffer: fs.readFileSync(sourcePath) })
+      } else {
+        const targetPath = path.join(targetDir, relativePath)
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true })
+        fs.copyFileSync(sourcePath, targetPath)
+        companions.push({ name, path: targetPath })
+      }
+    }
+
+    return companions
+  }
+
   /**
    * Get temporary PDF path (Tectonic generates PDF with same name as input)
    * @private
    */
   getTempPdfPath (texPath, outputDir) {
+    return this.getTempOutputPath(texPath, outputDir, 'pdf')
+  }
+
+  /**
+   * Get temporary output path for an output format (same name as input, format extension)
+   * @private
+   */
+  getTempOutputPath (texPath, outputDir, outputFormat) {
     const baseName = path.basename(texPath, path.extname(texPath))
-    return path.join(outputDir, `${baseName}.pdf`)
+    return path.join(outputDir, `${baseName}.${outputFormat}`)
   }
 
   /**
@@ -395,7 +1527,7 @@ class LatexCompiler {
           fs.unlinkSync(dirPath)
           fs.mkdirSync(dirPath, { recursive: true })
         } catch (e) {
-          throw new Error(`ENOTDIR: "${dirPath}" exists but is not a directory. Failed to auto-fix: ${e.message}`)
+          throw new FilesystemConflictError(`ENOTDIR: "${dirPath}" exists but is not a directory. Failed to auto-fix: ${e.message}`, dirPath)
         }
       }
     } else {
@@ -408,5 +1540,11 @@ class LatexCompiler {
   }
 }
 
+// Root of the job workspaces, reported by diagnose()
+LatexCompiler.TEMP_DIR = TEMP_DIR
+
+// Version check for a binary without resolving it, used by diagnose()
+LatexCompiler.getTectonicVersion = getTectonicVersion
+
 module.exports = LatexCompiler
 
@@ -0,0 +1,113 @@
+'use strict'
+
+// Replacements for characters LaTeX treats specially in text
+const SPECIAL_CHARS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  $: '\\$',
+  '&': '\\&',
+  '%': '\\%',
+  '#': '\\#',
+  _: '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  '<': '\\textless{}',
+  '>': '\\textgreater{}',
+  '|': '\\textbar{}',
+  // Keep brackets from being read as optional arguments and dashes from forming ligatures
+  '[': '{[}',
+  ']': '{]}',
+  '-': '{-}'
+}
+
+const SPECIAL_CHARS_RE = /[\\{}$&%#_~^<>|[\]-]/g
+
+// Line breaks; a blank line would end the paragraph, so every run of them becomes one space
+const LINE_BREAKS_RE = /(?:\r\n?|\n)+/g
+
+// Control characters (except tab, newline and carriage return) and byte order marks;
+// everything else is passed through, since Tectonic reads UTF-8 natively
+const CONTROL_CHARS_RE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\uFEFF]/g
+
+/**
+ * LaTeX source that is inserted into templates without escaping
+ * Created by latex`...` and raw(); compile({ tex }) accepts it in place of a string.
+ */
+class LatexFragment {
+  constructor (source) {
+    this.source = source
+  }
+
+  toString () {
+    return this.source
+  }
+}
+
+/**
+ * Escape text for use in a LaTeX document
+ * null, undefined and false become an empty string; other values are converted with String()
+ * Line breaks become spaces, so the text stays in one paragraph.
+ *
+ * @param {*} value - Text to escape
+ * @returns {string} - LaTeX source that typesets the text as is
+ */
+function escapeLatex (value) {
+  if (value === null || value === undefined || value === false) {
+    return ''
+  }
+  return String(value)
+    .replace(CONTROL_CHARS_RE, '')
+    .replace(LINE_BREAKS_RE, ' ')
+    .replace(SPECIAL_CHARS_RE, char => SPECIAL_CHARS[char])
+}
+
+/**
+ * Mark LaTeX source as trusted, so latex`...` inserts it without escaping
+ *
+ * @param {*} source - LaTeX source
+ * @returns {LatexFragment}
+ */
+function raw (source) {
+  return source instanceof LatexFragment ? source : new LatexFragment(source === null || source === undefined ? '' : String(source))
+}
+
+/**
+ * Convert an interpolated value to LaTeX source
+ * @private
+ */
+function interpolate (value) {
+  if (value instanceof LatexFragment) {
+    return value.source
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolate).join('')
+  }
+  return escapeLatex(value)
+}
+
+/**
+ * Tagged template for LaTeX source
+ *
+ * The template text is taken as written, backslashes included (like String.raw).
+ * Interpolated values are escaped with escapeLatex(), arrays are joined, and
+ * raw() values and nested latex`...` templates are inserted as they are.
+ *
+ * @param {string[]} strings - Template strings
+ * @param {...*} values - Interpolated values
+ * @returns {LatexFragment} - LaTeX source, usable as compile({ tex })
+ */
+function latex (strings, ...values) {
+  let source = strings.raw[0]
+  for (let i = 0; i < values.length; i++) {
+    source += interpolate(values[i]) + strings.raw[i + 1]
+  }
+  return new LatexFragment(source)
+}
+
+module.exports = {
+  latex,
+  escapeLatex,
+  raw,
+  LatexFragment
+}
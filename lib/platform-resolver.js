@@ -3,27 +3,85 @@
 const fs = require('fs')
 const path = require('path')
 const os = require('os')
+const { TectonicNotFoundError, InvalidConfigError } = require('./errors')
+
+// Runtime packages by platform, architecture and (on Linux) libc
+// Tectonic's only aarch64 Linux build is static, so bin-linux-arm64 serves glibc and musl
+const RUNTIME_PACKAGES = {
+  'win32-x64': '@node-latex-compiler/bin-win32-x64',
+  'win32-arm64': '@node-latex-compiler/bin-win32-arm64',
+  'darwin-x64': '@node-latex-compiler/bin-darwin-x64',
+  'darwin-arm64': '@node-latex-compiler/bin-darwin-arm64',
+  'linux-x64': '@node-latex-compiler/bin-linux-x64',
+  'linux-arm64': '@node-latex-compiler/bin-linux-arm64',
+  'linux-x64-musl': '@node-latex-compiler/bin-linux-x64-musl',
+  'linux-arm64-musl': '@node-latex-compiler/bin-linux-arm64'
+}
+
+let detectedLibc
+
+/**
+ * Detect the C library of the running Linux system
+ * The result is cached for the lifetime of the process.
+ * 
+ * @returns {string|null} - 'glibc' or 'musl', or null when not on Linux
+ */
+function detectLibc () {
+  if (os.platform() !== 'linux') {
+    return null
+  }
+  if (detectedLibc === undefined) {
+    detectedLibc = detectLinuxLibc()
+  }
+  return detectedLibc
+}
+
+/**
+ * @private
+ */
+function detectLinuxLibc () {
+  // Node.js built against glibc reports the glibc version it runs with
+  try {
+    const report = process.report && process.report.getReport()
+    const header = report && (typeof report === 'string' ? JSON.parse(report) : report).header
+    if (header && header.glibcVersionRuntime) {
+      return 'glibc'
+    }
+  } catch (e) {
+    // Fall back to looking for the musl dynamic loader
+  }
+
+  // musl installs its loader as /lib/ld-musl-<arch>.so.1
+  try {
+    if (fs.readdirSync('/lib').some(entry => entry.startsWith('ld-musl-'))) {
+      return 'musl'
+    }
+  } catch (e) {
+    // No /lib directory
+  }
+
+  return 'glibc'
+}
+
+/**
+ * Get the libc suffix used in runtime package and bin directory names
+ * @private
+ */
+function getLibcSuffix (platform, libc) {
+  return platform === 'linux' && libc === 'musl' ? '-musl' : ''
+}
 
 /**
  * Get runtime package name based on platform and architecture
  * 
  * @param {string} platform - OS platform (win32, darwin, linux)
  * @param {string} arch - Architecture (x64, arm64)
+ * @param {string} [libc] - C library on Linux: 'glibc' (default) or 'musl'
  * @returns {string|null} - Package name or null if unsupported
  */
-function getRuntimePackageName (platform, arch) {
-  if (platform === 'win32' && arch === 'x64') {
-    return '@node-latex-compiler/bin-win32-x64'
-  } else if (platform === 'darwin' && arch === 'x64') {
-    return '@node-latex-compiler/bin-darwin-x64'
-  } else if (platform === 'darwin' && arch === 'arm64') {
-    return '@node-latex-compiler/bin-darwin-arm64'
-  } else if (platform === 'linux' && arch === 'x64') {
-    return '@node-latex-compiler/bin-linux-x64'
-  }
-  
-  // Unsupported platform/arch combination
-  return null
+function getRuntimePackageName (platform, arch, libc) {
+  // Unsupported platform/arch combinations are not in the table
+  return RUNTIME_PACKAGES[`${platform}-${arch}${getLibcSuffix(platform, libc)}`] || null
 }
 
 /**
@@ -40,187 +98,584 @@ function getExecutableName (platform) {
 }
 
 /**
- * Resolve bundled Tectonic binary from optional dependencies
- * Based on platform and architecture
- * 
- * @returns {string|null} - Path to bundled Tectonic executable
+ * Normalize a Node.js architecture name (x86_64/amd64 -> x64, aarch64 -> arm64)
+ * @private
  */
-function resolveBundledTectonic () {
-  const platform = os.platform()
-  const arch = os.arch()
-
-  // Normalize arch
-  let normalizedArch = arch
+function normalizeArch (arch) {
   if (arch === 'x86_64' || arch === 'amd64') {
-    normalizedArch = 'x64'
+    return 'x64'
   } else if (arch === 'aarch64') {
-    normalizedArch = 'arm64'
+    return 'arm64'
   }
+  return arch
+}
 
-  // First, try to find in local bin directory (for development/testing)
+/**
+ * Where the bundled binary for this platform is looked for
+ * @private
+ */
+function getBundleTarget () {
+  const platform = os.platform()
+  const arch = normalizeArch(os.arch())
+  const libc = detectLibc()
   const thisPkgPath = path.join(__dirname, '..')
-  const exeName = getExecutableName(platform)
-  
-  // Try primary arch first
-  const localBinPath = path.join(thisPkgPath, 'bin', `${platform}-${normalizedArch}`)
-  const localTectonicPath = path.join(localBinPath, exeName)
-  
-  if (fs.existsSync(localTectonicPath)) {
-    try {
-      if (platform !== 'win32') {
-        fs.chmodSync(localTectonicPath, 0o755)
-      }
-      return localTectonicPath
-    } catch (e) {
-      return localTectonicPath
-    }
+  return {
+    platform,
+    arch,
+    libc,
+    thisPkgPath,
+    binBasePath: path.join(thisPkgPath, 'bin'),
+    exeName: getExecutableName(platform),
+    // Map platform and arch to package name
+    pkgName: getRuntimePackageName(platform, arch, libc)
   }
+}
+
+/**
+ * Build the bundled candidates from the entries of bin/ and the installed runtime package
+ * @private
+ */
+function buildBundledCandidates (target, binEntries, pkgPath) {
+  const { platform, arch, libc } = target
+  const candidates = []
+
+  // First, try to find in local bin directory (for development/testing)
+  const localDirs = []
+  
+  // Try primary arch first (musl builds live in e.g. bin/linux-x64-musl)
+  localDirs.push(`${platform}-${arch}${getLibcSuffix(platform, libc)}`)
   
   // On macOS, also try alternative arch if the primary one doesn't exist
   // This handles cases where Node.js reports a different arch than the binary
   // or when running x64 Node.js on ARM Mac (Rosetta 2)
   if (platform === 'darwin') {
-    const altArch = normalizedArch === 'x64' ? 'arm64' : 'x64'
-    const altLocalBinPath = path.join(thisPkgPath, 'bin', `${platform}-${altArch}`)
-    const altLocalTectonicPath = path.join(altLocalBinPath, exeName)
-    if (fs.existsSync(altLocalTectonicPath)) {
-      try {
-        fs.chmodSync(altLocalTectonicPath, 0o755)
-        return altLocalTectonicPath
-      } catch (e) {
-        return altLocalTectonicPath
-      }
-    }
+    localDirs.push(`${platform}-${arch === 'x64' ? 'arm64' : 'x64'}`)
   }
   
   // Also try checking all available bin directories (fallback)
   // This helps in CI environments where arch detection might be inconsistent
-  const binBasePath = path.join(thisPkgPath, 'bin')
-  if (fs.existsSync(binBasePath)) {
-    try {
-      // Check if it's actually a directory, not a file
-      const stats = fs.statSync(binBasePath)
-      if (!stats.isDirectory()) {
-        // bin exists but is a file, skip this fallback
-        return null
-      }
-      const entries = fs.readdirSync(binBasePath)
-      for (const entry of entries) {
-        if (entry.startsWith(`${platform}-`)) {
-          const candidatePath = path.join(binBasePath, entry, exeName)
-          if (fs.existsSync(candidatePath)) {
-            try {
-              if (platform !== 'win32') {
-                fs.chmodSync(candidatePath, 0o755)
-              }
-              return candidatePath
-            } catch (e) {
-              return candidatePath
-            }
-          }
-        }
-      }
-    } catch (e) {
-      // Ignore errors when scanning bin directory
+  for (const entry of binEntries) {
+    // glibc builds do not run on musl systems (musl builds are static and run anywhere)
+    if (entry.startsWith(`${platform}-`) && (libc !== 'musl' || entry.endsWith('-musl')) && !localDirs.includes(entry)) {
+      localDirs.push(entry)
     }
   }
+  
+  for (const dir of localDirs) {
+    candidates.push({ source: 'local-bin', path: path.join(target.binBasePath, dir, target.exeName) })
+  }
+
+  if (target.pkgName) {
+    candidates.push({
+      source: 'runtime-package',
+      package: target.pkgName,
+      path: pkgPath ? path.join(pkgPath, 'bin', target.exeName) : null
+    })
+  }
+
+  return candidates
+}
 
-  // Map platform and arch to package name
-  const pkgName = getRuntimePackageName(platform, normalizedArch)
-  if (!pkgName) {
+/**
+ * Find the runtime package with require.resolve
+ * @private
+ */
+function requireRuntimePackage (pkgName) {
+  try {
+    return path.dirname(require.resolve(pkgName + '/package.json'))
+  } catch (e) {
+    // Package might not be installed (optional dependency)
     return null
   }
+}
+
+/**
+ * List the places a bundled Tectonic binary is looked for, in the order they are tried
+ * Paths are not checked; runtime packages that are not installed have a null path.
+ * 
+ * @returns {Array<Object>} - Array of { source: 'local-bin'|'runtime-package', path, package? }
+ */
+function getBundledCandidates () {
+  const target = getBundleTarget()
 
+  let binEntries = []
   try {
-    // Try to resolve the runtime package
-    let pkgPath
-    try {
-      // Try to require.resolve the package
-      const pkgJsonPath = require.resolve(pkgName + '/package.json')
-      pkgPath = path.dirname(pkgJsonPath)
-    } catch (e) {
-      // Package might not be installed (optional dependency)
+    // Skip the fallback if bin is a file rather than a directory
+    if (fs.statSync(target.binBasePath).isDirectory()) {
+      binEntries = fs.readdirSync(target.binBasePath)
+    }
+  } catch (e) {
+    // Ignore errors when scanning bin directory
+  }
+
+  let pkgPath = null
+  if (target.pkgName) {
+    pkgPath = requireRuntimePackage(target.pkgName)
+    if (!pkgPath) {
       // Try to find it in node_modules relative to this package
-      const possiblePath = path.join(thisPkgPath, 'node_modules', pkgName)
+      const possiblePath = path.join(target.thisPkgPath, 'node_modules', target.pkgName)
       if (fs.existsSync(path.join(possiblePath, 'package.json'))) {
         pkgPath = possiblePath
-      } else {
-        return null
       }
     }
+  }
+
+  return buildBundledCandidates(target, binEntries, pkgPath)
+}
+
+/**
+ * getBundledCandidates() without blocking the event loop
+ * 
+ * @returns {Promise<Array<Object>>}
+ */
+async function getBundledCandidatesAsync () {
+  const target = getBundleTarget()
+
+  let binEntries = []
+  try {
+    if ((await fs.promises.stat(target.binBasePath)).isDirectory()) {
+      binEntries = await fs.promises.readdir(target.binBasePath)
+    }
+  } catch (e) {
+    // Ignore errors when scanning bin directory
+  }
+
+  let pkgPath = null
+  if (target.pkgName) {
+    pkgPath = requireRuntimePackage(target.pkgName)
+    if (!pkgPath) {
+      const possiblePath = path.join(target.thisPkgPath, 'node_modules', target.pkgName)
+      if (await pathExists(path.join(possiblePath, 'package.json'))) {
+        pkgPath = possiblePath
+      }
+    }
+  }
 
-    // Construct Tectonic executable path
-    const tectonicPath = path.join(pkgPath, 'bin', exeName)
+  return buildBundledCandidates(target, binEntries, pkgPath)
+}
 
-    if (fs.existsSync(tectonicPath)) {
+/**
+ * Check whether a path exists without blocking
+ * @private
+ */
+function pathExists (filePath) {
+  return fs.promises.access(filePath).then(() => true, () => false)
+}
+
+/**
+ * Make a binary executable on Unix and return its path
+ * Only binaries without the execute bit are changed. If chmod fails, the path is
+ * still returned (it might be executable for us anyway).
+ * @private
+ */
+function makeExecutable (tectonicPath) {
+  if (process.platform !== 'win32') {
+    try {
+      fs.accessSync(tectonicPath, fs.constants.X_OK)
+    } catch (e) {
       try {
-        // Make executable on Unix
-        if (platform !== 'win32') {
-          fs.chmodSync(tectonicPath, 0o755)
-        }
-        return tectonicPath
-      } catch (e) {
-        // If chmod fails, still return the path (it might already be executable)
-        return tectonicPath
+        fs.chmodSync(tectonicPath, 0o755)
+      } catch (chmodError) {
+        // Still try to use it
       }
     }
-  } catch (e) {
-    // Silently fail - bundled binary not available
-    return null
   }
+  return tectonicPath
+}
+
+/**
+ * makeExecutable() without blocking
+ * @private
+ */
+async function makeExecutableAsync (tectonicPath) {
+  if (process.platform !== 'win32') {
+    try {
+      await fs.promises.access(tectonicPath, fs.constants.X_OK)
+    } catch (e) {
+      await fs.promises.chmod(tectonicPath, 0o755).catch(() => {
+        // Still try to use it
+      })
+    }
+  }
+  return tectonicPath
+}
 
+/**
+ * Resolve bundled Tectonic binary from optional dependencies
+ * Based on platform and architecture
+ * 
+ * @returns {string|null} - Path to bundled Tectonic executable
+ */
+function resolveBundledTectonic () {
+  for (const candidate of getBundledCandidates()) {
+    if (candidate.path && fs.existsSync(candidate.path)) {
+      return makeExecutable(candidate.path)
+    }
+  }
   return null
 }
 
+// Environment variable naming the Tectonic executable
+const TECTONIC_PATH_ENV = 'TECTONIC_PATH'
+
+// Built-in resolution strategies, in their default order
+const DEFAULT_RESOLUTION = ['option', 'env', 'bundled', 'path']
+
+// Strategies that name one specific binary; with `strict`, a missing one is an error
+// (as is a missing binary returned by a custom resolver)
+const EXPLICIT_STRATEGIES = ['option', 'env']
+
+// Custom resolvers registered with registerResolver(), by name
+const customResolvers = new Map()
+
+/**
+ * Candidates of the built-in strategies
+ * Each returns an array of { source, path, package? } and only runs when the strategy is reached
+ * @private
+ */
+const BUILTIN_STRATEGIES = {
+  option: options => options.tectonicPath
+    ? [{ source: 'tectonicPath', path: path.resolve(options.tectonicPath) }]
+    : [],
+  env: () => process.env[TECTONIC_PATH_ENV]
+    ? [{ source: TECTONIC_PATH_ENV, path: path.resolve(process.env[TECTONIC_PATH_ENV]) }]
+    : [],
+  bundled: () => getBundledCandidates(),
+  path: () => [{ source: 'PATH', path: findTectonicInPath() }]
+}
+
+/**
+ * Non-blocking versions of the built-in strategies that touch the filesystem
+ * @private
+ */
+const BUILTIN_STRATEGIES_ASYNC = {
+  bundled: () => getBundledCandidatesAsync(),
+  path: async () => [{ source: 'PATH', path: await findExecutableInPathAsync('tectonic') }]
+}
+
+/**
+ * Register a custom resolver
+ *
+ * A resolver is called with the resolve options and returns the path to a Tectonic
+ * executable, or null if it has none. Registered resolvers run after the built-in
+ * strategies, unless `resolution` places them elsewhere by name.
+ * Resolvers may return a Promise, which only resolveTectonicExecutableAsync() waits for.
+ * Registering or removing a resolver clears the memoized resolution.
+ *
+ * @param {string} name - Name to use in `resolution`
+ * @param {Function} resolver - (options) => string|null|Promise<string|null>
+ */
+function registerResolver (name, resolver) {
+  if (typeof name !== 'string' || !name || DEFAULT_RESOLUTION.includes(name)) {
+    throw new InvalidConfigError(`Invalid resolver name: ${JSON.stringify(name)} (expected a string other than ${DEFAULT_RESOLUTION.join(', ')})`, 'name')
+  }
+  if (typeof resolver !== 'function') {
+    throw new InvalidConfigError(`Invalid resolver for "${name}": expected a function`, 'resolver')
+  }
+  customResolvers.set(name, resolver)
+  invalidate()
+}
+
+/**
+ * Remove a custom resolver
+ *
+ * @param {string} name - Name it was registered with
+ * @returns {boolean} - Whether a resolver was removed
+ */
+function unregisterResolver (name) {
+  const removed = customResolvers.delete(name)
+  if (removed) {
+    invalidate()
+  }
+  return removed
+}
+
+/**
+ * Get the resolution order for options, validating `resolution`
+ * @private
+ */
+function getResolution (options) {
+  if (options.resolution === undefined) {
+    return DEFAULT_RESOLUTION.concat(Array.from(customResolvers.keys()))
+  }
+  if (!Array.isArray(options.resolution) || options.resolution.length === 0) {
+    throw new InvalidConfigError('Invalid resolution: expected a non-empty array of strategy names or resolver functions', 'resolution')
+  }
+  for (const strategy of options.resolution) {
+    if (typeof strategy === 'function') {
+      continue
+    }
+    if (!Object.prototype.hasOwnProperty.call(BUILTIN_STRATEGIES, strategy) && !customResolvers.has(strategy)) {
+      throw new InvalidConfigError(
+        `Invalid resolution: unknown strategy ${JSON.stringify(strategy)} ` +
+        `(expected ${DEFAULT_RESOLUTION.join(', ')} or a registered resolver)`,
+        'resolution'
+      )
+    }
+  }
+  return options.resolution
+}
+
+/**
+ * Name and function of a custom resolver strategy
+ * @private
+ */
+function getCustomResolver (strategy) {
+  return typeof strategy === 'function'
+    ? { name: strategy.name || 'custom', resolver: strategy }
+    : { name: strategy, resolver: customResolvers.get(strategy) }
+}
+
+/**
+ * Turn what a custom resolver returned (or threw) into its candidate
+ * With `strict`, errors of custom resolvers are thrown instead of skipping the resolver.
+ * @private
+ */
+function toResolverCandidate (name, resolved, error, options) {
+  if (error && options.strict) {
+    throw new TectonicNotFoundError(`Tectonic resolver "${name}" failed: ${error.message}`, null, name)
+  }
+  const resolvedPath = !error && typeof resolved === 'string' && resolved ? path.resolve(resolved) : null
+  return [{ strategy: name, source: name, path: resolvedPath, explicit: true }]
+}
+
+/**
+ * Get the candidates of one strategy
+ * @private
+ */
+function getStrategyCandidates (strategy, options) {
+  if (typeof strategy === 'string' && Object.prototype.hasOwnProperty.call(BUILTIN_STRATEGIES, strategy)) {
+    return BUILTIN_STRATEGIES[strategy](options)
+      .map(candidate => Object.assign({ strategy }, candidate))
+  }
+
+  const { name, resolver } = getCustomResolver(strategy)
+  let resolved
+  try {
+    resolved = resolver(options)
+  } catch (e) {
+    return toResolverCandidate(name, null, e, options)
+  }
+  if (resolved && typeof resolved.then === 'function') {
+    // Don't leave a rejection unhandled
+    resolved.catch(() => {})
+    return toResolverCandidate(name, null, new Error('returned a Promise; use resolveTectonicExecutableAsync()'), options)
+  }
+  return toResolverCandidate(name, resolved, null, options)
+}
+
+/**
+ * getStrategyCandidates() without blocking; waits for resolvers that return a Promise
+ * @private
+ */
+async function getStrategyCandidatesAsync (strategy, options) {
+  if (typeof strategy === 'string' && Object.prototype.hasOwnProperty.call(BUILTIN_STRATEGIES, strategy)) {
+    const candidates = Object.prototype.hasOwnProperty.call(BUILTIN_STRATEGIES_ASYNC, strategy)
+      ? await BUILTIN_STRATEGIES_ASYNC[strategy](options)
+      : BUILTIN_STRATEGIES[strategy](options)
+    return candidates.map(candidate => Object.assign({ strategy }, candidate))
+  }
+
+  const { name, resolver } = getCustomResolver(strategy)
+  try {
+    return toResolverCandidate(name, await resolver(options), null, options)
+  } catch (e) {
+    return toResolverCandidate(name, null, e, options)
+  }
+}
+
+/**
+ * With `strict`, throw for an explicitly named binary that does not exist
+ * @private
+ */
+function checkStrict (candidate, options) {
+  if (options.strict && candidate.path && (candidate.explicit || EXPLICIT_STRATEGIES.includes(candidate.strategy))) {
+    throw new TectonicNotFoundError(
+      `Tectonic executable not found at ${candidate.path} (from ${candidate.source})`,
+      candidate.path,
+      candidate.source
+    )
+  }
+}
+
 /**
  * Resolve Tectonic executable path with fallback strategy
  * 
- * Priority order:
- * 1. options.tectonicPath (user-specified)
- * 2. Bundled binary (from optional dependencies)
- * 3. System 'tectonic' in PATH
+ * Strategies are tried in the order of `options.resolution`. The default order is:
+ * 1. 'option': options.tectonicPath (user-specified)
+ * 2. 'env': the TECTONIC_PATH environment variable
+ * 3. 'bundled': bundled binary (from optional dependencies)
+ * 4. 'path': system 'tectonic' in PATH
+ * followed by resolvers added with registerResolver().
+ * 
+ * A tectonicPath, TECTONIC_PATH or custom resolver result that does not exist is
+ * skipped, or with `strict` throws a TectonicNotFoundError. A binary found without
+ * the execute bit is made executable, unless `chmod` is false.
+ * 
+ * This looks at the filesystem on every call; resolveTectonicExecutableCached()
+ * and resolveTectonicExecutableAsync() memoize the result.
  * 
  * @param {Object} options - Options object
- * @param {string} options.tectonicPath - User-specified Tectonic path (highest priority)
+ * @param {string} [options.tectonicPath] - User-specified Tectonic path
+ * @param {Array<string|Function>} [options.resolution] - Strategy names and resolver functions, in order
+ * @param {boolean} [options.strict] - Throw when an explicitly named binary does not exist
+ * @param {boolean} [options.chmod] - Set to false to leave the file mode of the binary as it is
  * @returns {string|null} - Path to Tectonic executable, or null if not found
  */
 function resolveTectonicExecutable (options) {
   options = options || {}
   
-  // Priority 1: User-specified Tectonic path
-  if (options.tectonicPath) {
-    const tectonicPath = path.resolve(options.tectonicPath)
-    if (fs.existsSync(tectonicPath)) {
-      try {
-        // Make executable on Unix if needed
-        if (process.platform !== 'win32') {
-          fs.chmodSync(tectonicPath, 0o755)
-        }
-        return tectonicPath
-      } catch (e) {
-        // If can't make executable, still try to use it
-        return tectonicPath
+  for (const strategy of getResolution(options)) {
+    for (const candidate of getStrategyCandidates(strategy, options)) {
+      if (candidate.path && fs.existsSync(candidate.path)) {
+        return options.chmod === false ? candidate.path : makeExecutable(candidate.path)
       }
+      checkStrict(candidate, options)
     }
   }
 
-  // Priority 2: Bundled binary from optional dependencies
-  const bundledTectonic = resolveBundledTectonic()
-  if (bundledTectonic) {
-    return bundledTectonic
+  return null
+}
+
+// Memoized resolutions: cache key -> resolved path, or null when nothing was found
+const resolutionCache = new Map()
+
+// Asynchronous resolutions in progress: cache key -> Promise
+const pendingResolutions = new Map()
+
+// Incremented by invalidate() so resolutions started before it are not memoized
+let resolutionGeneration = 0
+
+// Ids for resolver functions in cache keys
+const resolverIds = new WeakMap()
+let nextResolverId = 1
+
+/**
+ * Cache key for the options that affect resolution
+ * @private
+ */
+function getResolutionCacheKey (options) {
+  const resolution = options.resolution === undefined ? null : [].concat(options.resolution).map(strategy => {
+    if (typeof strategy !== 'function') {
+      return strategy
+    }
+    if (!resolverIds.has(strategy)) {
+      resolverIds.set(strategy, nextResolverId++)
+    }
+    return { resolver: resolverIds.get(strategy) }
+  })
+  return JSON.stringify([
+    options.tectonicPath ? path.resolve(options.tectonicPath) : null,
+    resolution,
+    Boolean(options.strict),
+    process.env[TECTONIC_PATH_ENV] || null
+  ])
+}
+
+/**
+ * resolveTectonicExecutable(), memoized for the process
+ * 
+ * The result for a combination of tectonicPath, resolution, strict and TECTONIC_PATH
+ * is kept until invalidate(), including null when no binary was found; call
+ * invalidate() after installing one.
+ * 
+ * @param {Object} [options] - Options as for resolveTectonicExecutable()
+ * @returns {string|null} - Path to Tectonic executable, or null if not found
+ */
+function resolveTectonicExecutableCached (options) {
+  options = options || {}
+  const key = getResolutionCacheKey(options)
+  if (resolutionCache.has(key)) {
+    return resolutionCache.get(key)
   }
+  const resolved = resolveTectonicExecutable(options)
+  resolutionCache.set(key, resolved)
+  return resolved
+}
 
-  // Priority 3: System 'tectonic' in PATH
+/**
+ * Resolve Tectonic executable path without blocking the event loop
+ * 
+ * Same strategies and `strict` handling as resolveTectonicExecutable(), using
+ * asynchronous filesystem calls and a pure-JS PATH scan. Custom resolvers may
+ * return a Promise. The result is memoized like resolveTectonicExecutableCached(),
+ * and concurrent calls with the same options share one lookup.
+ * 
+ * @param {Object} [options] - Options as for resolveTectonicExecutable()
+ * @returns {Promise<string|null>} - Path to Tectonic executable, or null if not found
+ */
+function resolveTectonicExecutableAsync (options) {
+  options = options || {}
+  let key
   try {
-    const systemTectonic = findTectonicInPath()
-    if (systemTectonic) {
-      return systemTectonic
-    }
+    key = getResolutionCacheKey(options)
   } catch (e) {
-    // Ignore errors when checking PATH
+    return Promise.reject(e)
+  }
+  if (resolutionCache.has(key)) {
+    return Promise.resolve(resolutionCache.get(key))
+  }
+  if (pendingResolutions.has(key)) {
+    return pendingResolutions.get(key)
   }
 
-  return null
+  const generation = resolutionGeneration
+  const pending = (async () => {
+    for (const strategy of getResolution(options)) {
+      for (const candidate of await getStrategyCandidatesAsync(strategy, options)) {
+        if (candidate.path && await pathExists(candidate.path)) {
+          return makeExecutableAsync(candidate.path)
+        }
+        checkStrict(candidate, options)
+      }
+    }
+    return null
+  })().then(resolved => {
+    if (generation === resolutionGeneration) {
+      pendingResolutions.delete(key)
+      resolutionCache.set(key, resolved)
+    }
+    return resolved
+  }, error => {
+    if (generation === resolutionGeneration) {
+      pendingResolutions.delete(key)
+    }
+    throw error
+  })
+  pendingResolutions.set(key, pending)
+  return pending
+}
+
+/**
+ * Forget memoized resolutions, e.g. after installing or moving a Tectonic binary
+ * or changing PATH. Compilers created afterwards resolve the binary again.
+ */
+function invalidate () {
+  resolutionCache.clear()
+  pendingResolutions.clear()
+  resolutionGeneration++
+}
+
+resolveTectonicExecutableAsync.invalidate = invalidate
+
+/**
+ * List every place resolveTectonicExecutable() looks for Tectonic, in priority order
+ * Paths are not checked; a source that yields no path has a null path.
+ * 
+ * @param {Object} [options] - Options as for resolveTectonicExecutable()
+ * @returns {Array<Object>} - Array of { strategy, source, path, package? }, where source is
+ *   'tectonicPath', 'TECTONIC_PATH', 'local-bin', 'runtime-package', 'PATH' or a custom resolver name
+ */
+function getTectonicCandidates (options) {
+  options = Object.assign({}, options, { strict: false })
+  const candidates = []
+  for (const strategy of getResolution(options)) {
+    for (const candidate of getStrategyCandidates(strategy, options)) {
+      delete candidate.explicit
+      candidates.push(candidate)
+    }
+  }
+  return candidates
 }
 
 /**
@@ -229,23 +684,79 @@ function resolveTectonicExecutable (options) {
  * @returns {string|null} - Path to tectonic executable
  */
 function findTectonicInPath () {
-  const { execSync } = require('child_process')
-  try {
-    // Use 'which' on Unix, 'where' on Windows
-    const command = process.platform === 'win32' ? 'where' : 'which'
-    const result = execSync(command + ' tectonic', {
-      encoding: 'utf-8',
-      stdio: ['ignore', 'pipe', 'ignore']
-    })
-    
-    if (result) {
-      const tectonicPath = result.trim().split('\n')[0]
-      if (tectonicPath && fs.existsSync(tectonicPath)) {
-        return tectonicPath
+  return findExecutableInPath('tectonic')
+}
+
+/**
+ * Files to try for an executable name in a PATH-style directory list, in order
+ * On Windows, a name without an extension is tried with each PATHEXT extension
+ * only, since an extensionless file there (e.g. a shell script) cannot be run
+ * @private
+ */
+function getPathCandidates (name, envPath) {
+  const searchPath = envPath !== undefined ? envPath : (process.env.PATH || process.env.Path || '')
+  const extensions = process.platform === 'win32' && !path.extname(name)
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').filter(Boolean)
+    : ['']
+  
+  const candidates = []
+  for (const dir of searchPath.split(path.delimiter)) {
+    if (!dir) {
+      continue
+    }
+    for (const ext of extensions) {
+      candidates.push(path.join(dir, name + ext))
+    }
+  }
+  return candidates
+}
+
+/**
+ * Find an executable by name in a PATH-style directory list
+ * On Windows, a name without an extension is tried with the PATHEXT extensions
+ * 
+ * @param {string} name - Executable name (e.g. 'biber')
+ * @param {string} [envPath] - Directory list (default: process.env.PATH)
+ * @returns {string|null} - Path to the executable
+ */
+function findExecutableInPath (name, envPath) {
+  for (const candidate of getPathCandidates(name, envPath)) {
+    try {
+      if (!fs.statSync(candidate).isFile()) {
+        continue
+      }
+      if (process.platform !== 'win32') {
+        fs.accessSync(candidate, fs.constants.X_OK)
       }
+      return candidate
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+  
+  return null
+}
+
+/**
+ * findExecutableInPath() without blocking the event loop
+ * 
+ * @param {string} name - Executable name (e.g. 'tectonic')
+ * @param {string} [envPath] - Directory list (default: process.env.PATH)
+ * @returns {Promise<string|null>} - Path to the executable
+ */
+async function findExecutableInPathAsync (name, envPath) {
+  for (const candidate of getPathCandidates(name, envPath)) {
+    try {
+      if (!(await fs.promises.stat(candidate)).isFile()) {
+        continue
+      }
+      if (process.platform !== 'win32') {
+        await fs.promises.access(candidate, fs.constants.X_OK)
+      }
+      return candidate
+    } catch (e) {
+      // Try the next candidate
     }
-  } catch (e) {
-    // Tectonic not found in PATH
   }
   
   return null
@@ -291,9 +802,22 @@ function verifyTectonic (tectonicPath) {
 
 module.exports = {
   resolveTectonicExecutable: resolveTectonicExecutable,
+  resolveTectonicExecutableCached: resolveTectonicExecutableCached,
+  resolveTectonicExecutableAsync: resolveTectonicExecutableAsync,
+  invalidate: invalidate,
   resolveBundledTectonic: resolveBundledTectonic,
+  getBundledCandidates: getBundledCandidates,
+  getBundledCandidatesAsync: getBundledCandidatesAsync,
+  getTectonicCandidates: getTectonicCandidates,
+  registerResolver: registerResolver,
+  unregisterResolver: unregisterResolver,
+  TECTONIC_PATH_ENV: TECTONIC_PATH_ENV,
+  DEFAULT_RESOLUTION: DEFAULT_RESOLUTION,
   getRuntimePackageName: getRuntimePackageName,
+  detectLibc: detectLibc,
   getExecutableName: getExecutableName,
+  findExecutableInPath: findExecutableInPath,
+  findExecutableInPathAsync: findExecutableInPathAsync,
   verifyTectonic: verifyTectonic
 }
 
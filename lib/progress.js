@@ -0,0 +1,126 @@
+'use strict'
+
+// Tectonic status notes, e.g. 'note: Rerunning TeX because "doc.aux" changed ...'
+const NOTE_RE = /^note: (.*)$/
+
+// Files Tectonic downloads to index a bundle rather than for the document
+const BUNDLE_METADATA_FILES = ['index', 'SHA256SUM']
+
+/**
+ * Parse one line of Tectonic output into a progress event
+ *
+ * @param {string} line - Line of Tectonic stdout or stderr
+ * @returns {Object|null} - { stage, message, package?, file? } or null if the line is not a stage note
+ */
+function parseProgressLine (line) {
+  const match = line.trim().match(NOTE_RE)
+  if (!match) {
+    return null
+  }
+  const message = match[1].trim()
+
+  if (/^(Running|Rerunning) TeX\b/.test(message)) {
+    return { stage: 'tex-pass', message }
+  }
+  if (/^Running BibTeX\b/.test(message)) {
+    return { stage: 'bibtex', message }
+  }
+  if (/^Running xdvipdfmx\b/.test(message)) {
+    return { stage: 'xdvipdfmx', message }
+  }
+
+  const download = message.match(/^downloading [`"']?([^`"'\s]+)/)
+  if (download && !BUNDLE_METADATA_FILES.includes(download[1])) {
+    const file = download[1]
+    const dot = file.lastIndexOf('.')
+    return {
+      stage: 'downloading-package',
+      package: dot > 0 ? file.slice(0, dot) : file,
+      file,
+      message
+    }
+  }
+  return null
+}
+
+/**
+ * Turns Tectonic output chunks into progress events
+ * TeX passes are numbered across every Tectonic run of one compile.
+ */
+class ProgressTracker {
+  /**
+   * @param {Function} onProgress - Called with each event
+   */
+  constructor (onProgress) {
+    this.onProgress = onProgress
+    this.pass = 0
+    this.partial = { stdout: '', stderr: '' }
+  }
+
+  /**
+   * Feed a chunk of output; complete lines are parsed, the rest waits for the next chunk
+   *
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} text - Output chunk
+   */
+  push (stream, text) {
+    const lines = (this.partial[stream] + text).split(/\r?\n/)
+    this.partial[stream] = lines.pop()
+    for (const line of lines) {
+      this.parse(line)
+    }
+  }
+
+  /**
+   * Parse output left without a trailing newline when a run ends
+   */
+  flush () {
+    for (const stream of Object.keys(this.partial)) {
+      if (this.partial[stream]) {
+        this.parse(this.partial[stream])
+        this.partial[stream] = ''
+      }
+    }
+  }
+
+  /**
+   * Report an event
+   *
+   * @param {Object} event - { stage, ... }
+   */
+  emit (event) {
+    this.onProgress(event)
+  }
+
+  /**
+   * Report the end of a compile
+   *
+   * @param {Object} result - Compile result
+   */
+  done (result) {
+    const event = { stage: 'done', status: result.status }
+    if (result.fromCache) {
+      event.fromCache = true
+    }
+    this.emit(event)
+  }
+
+  /**
+   * @private
+   */
+  parse (line) {
+    const event = parseProgressLine(line)
+    if (!event) {
+      return
+    }
+    if (event.stage === 'tex-pass') {
+      event.pass = ++this.pass
+    }
+    this.emit(event)
+  }
+}
+
+module.exports = {
+  parseProgressLine,
+  ProgressTracker
+}
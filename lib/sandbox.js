@@ -0,0 +1,375 @@
+'use strict'
+
+const path = require('path')
+const { createCodeFrame } = require('./diagnostics')
+const { collectTexSources } = require('./dependencies')
+const { InvalidConfigError } = require('./errors')
+
+// Environment variables passed through to Tectonic in sandbox mode
+// (program lookup, the bundle cache location and temp directories)
+const SANDBOX_ENV_KEYS = [
+  'PATH', 'Path', 'PATHEXT', 'SYSTEMROOT', 'SystemRoot', 'WINDIR',
+  'HOME', 'USERPROFILE', 'LOCALAPPDATA', 'XDG_CACHE_HOME', 'TECTONIC_CACHE_DIR',
+  'TMPDIR', 'TMP', 'TEMP'
+]
+
+// Commands that read or write files, by the mandatory arguments they take and which of
+// those name files (`list`: comma-separated names, `groups`: a {dir}{dir} list)
+const FILE_COMMANDS = {
+  include: { args: 1, paths: [0] },
+  includeonly: { args: 1, paths: [0], list: true },
+  subfile: { args: 1, paths: [0] },
+  InputIfFileExists: { args: 1, paths: [0] },
+  IfFileExists: { args: 1, paths: [0] },
+  includegraphics: { args: 1, paths: [0] },
+  includepdf: { args: 1, paths: [0] },
+  includestandalone: { args: 1, paths: [0] },
+  includesvg: { args: 1, paths: [0] },
+  lstinputlisting: { args: 1, paths: [0] },
+  verbatiminput: { args: 1, paths: [0] },
+  VerbatimInput: { args: 1, paths: [0] },
+  inputminted: { args: 2, paths: [1] },
+  import: { args: 2, paths: [0, 1] },
+  subimport: { args: 2, paths: [0, 1] },
+  inputfrom: { args: 2, paths: [0, 1] },
+  includefrom: { args: 2, paths: [0, 1] },
+  subinputfrom: { args: 2, paths: [0, 1] },
+  subincludefrom: { args: 2, paths: [0, 1] },
+  bibliography: { args: 1, paths: [0], list: true },
+  bibliographystyle: { args: 1, paths: [0] },
+  addbibresource: { args: 1, paths: [0] },
+  documentclass: { args: 1, paths: [0] },
+  LoadClass: { args: 1, paths: [0] },
+  usepackage: { args: 1, paths: [0], list: true },
+  RequirePackage: { args: 1, paths: [0], list: true },
+  graphicspath: { args: 1, paths: [0], groups: true },
+  // Environments are checked by name: \begin{filecontents}{path}
+  'begin:filecontents': { args: 1, paths: [0] },
+  'begin:filecontents*': { args: 1, paths: [0] }
+}
+
+// TeX primitives (and their LaTeX-internal copies) that take a file name directly,
+// e.g. "\input file", "\openin\fh=file", "\font\x=file", "\filesize{file}"
+const PRIMITIVE_FILE_COMMANDS = {
+  input: 'name',
+  '@@input': 'name',
+  '@input': 'name',
+  '@iinput': 'name',
+  XeTeXpicfile: 'name',
+  XeTeXpdffile: 'name',
+  openin: 'register',
+  openout: 'register',
+  font: 'register',
+  filesize: 'group',
+  filemoddate: 'group',
+  filedump: 'group',
+  mdfivesum: 'group'
+}
+
+// Commands that build control sequences or file names this scan cannot follow,
+// change how TeX reads the source, or read files themselves
+const FORBIDDEN_COMMANDS = [
+  'csname', 'catcode', 'scantokens', 'special', 'input@path', 'Ginput@path',
+  'ExplSyntaxOn', 'ProvidesExplPackage', 'ProvidesExplClass', 'ProvidesExplFile'
+]
+
+// Commands that make one control sequence a copy of another, e.g. \let\x=\input
+const ALIAS_COMMANDS = ['let', 'futurelet', 'LetLtxMacro', 'NewCommandCopy', 'RenewCommandCopy', 'DeclareCommandCopy']
+
+// Control words (letters and @) and control symbols
+const CONTROL_SEQUENCE_RE = /\\(?:([A-Za-z@]+)|[^])/g
+
+// Messages by violation rule
+const RULE_DESCRIPTIONS = {
+  'absolute-path': 'absolute path',
+  'parent-path': 'parent-relative path',
+  'indirect-path': 'a file name that is not written out literally'
+}
+
+/**
+ * Validate the sandbox option
+ * Throws an Error if it is not a boolean
+ *
+ * @param {Object} config - Compilation configuration
+ */
+function validateSandboxOption (config) {
+  if (config.sandbox !== undefined && typeof config.sandbox !== 'boolean') {
+    throw new InvalidConfigError('Invalid sandbox: expected a boolean', 'sandbox')
+  }
+}
+
+/**
+ * Build the minimal environment Tectonic runs with in sandbox mode
+ *
+ * @param {Object} [env] - Environment to pick from (default: process.env)
+ * @returns {Object} - Environment with only SANDBOX_ENV_KEYS
+ */
+function createSandboxEnv (env) {
+  env = env || process.env
+  const sandboxEnv = {}
+  for (const key of SANDBOX_ENV_KEYS) {
+    if (env[key] !== undefined) {
+      sandboxEnv[key] = env[key]
+    }
+  }
+  return sandboxEnv
+}
+
+/**
+ * Check whether a referenced path leaves the compile directory
+ * @private
+ */
+function classifyPath (referencedPath) {
+  if (/[\\#]/.test(referencedPath)) {
+    return 'indirect-path'
+  }
+  const normalized = referencedPath.replace(/\\/g, '/')
+  if (path.posix.isAbsolute(normalized) || path.win32.isAbsolute(referencedPath) || normalized.startsWith('~')) {
+    return 'absolute-path'
+  }
+  if (normalized.split('/').includes('..')) {
+    return 'parent-path'
+  }
+  return null
+}
+
+/**
+ * Skip whitespace
+ * @private
+ */
+function skipSpaces (content, position) {
+  while (position < content.length && /\s/.test(content[position])) {
+    position++
+  }
+  return position
+}
+
+/**
+ * Read a group opened at `position` ("{...}" or "[...]"), with nested braces
+ * @private
+ * @returns {Object|null} - { text, end }, or null if it is not closed
+ */
+function readGroup (content, position) {
+  const close = content[position] === '[' ? ']' : '}'
+  let depth = 0
+  for (let i = position + 1; i < content.length; i++) {
+    const char = content[i]
+    if (char === '\\') {
+      i++
+    } else if (char === '{') {
+      depth++
+    } else if (char === '}' && depth > 0) {
+      depth--
+    } else if (char === close && depth === 0) {
+      return { text: content.slice(position + 1, i), end: i + 1 }
+    }
+  }
+  return null
+}
+
+/**
+ * Read the mandatory arguments of a LaTeX command, skipping a star and optional arguments
+ * @private
+ * @returns {string[]} - Up to `count` arguments; fewer if the command is not followed by literal groups
+ */
+function readArguments (content, position, count) {
+  const args = []
+  position = skipSpaces(content, position)
+  if (content[position] === '*') {
+    position++
+  }
+  while (args.length < count) {
+    position = skipSpaces(content, position)
+    const char = content[position]
+    if (char !== '[' && char !== '{' && char !== '<') {
+      break
+    }
+    const group = char === '<'
+      ? { text: null, end: content.indexOf('>', position) + 1 }
+      : readGroup(content, position)
+    if (!group || group.end === 0) {
+      break
+    }
+    if (char === '{') {
+      args.push(group.text)
+    }
+    position = group.end
+  }
+  return args
+}
+
+/**
+ * Read the file name after a TeX primitive
+ * @private
+ * @returns {string|null} - The name as written, or null if it is not written out literally
+ */
+function readPrimitiveName (content, position, kind) {
+  position = skipSpaces(content, position)
+  if (kind === 'register') {
+    // \openin\fh=file, \openout3 file, \font\x="file"
+    const register = content.slice(position).match(/^(?:\\[A-Za-z@]+|\d+)/)
+    if (!register) {
+      return null
+    }
+    position = skipSpaces(content, position + register[0].length)
+    if (content[position] === '=') {
+      position = skipSpaces(content, position + 1)
+    }
+  } else if (kind === 'group') {
+    // \filedump offset 0 length 10 {file}, \mdfivesum file {file}
+    const keywords = content.slice(position).match(/^[A-Za-z0-9\s]*/)
+    position += keywords[0].length
+    const group = content[position] === '{' ? readGroup(content, position) : null
+    return group ? group.text : null
+  }
+
+  const char = content[position]
+  if (char === '{') {
+    const group = readGroup(content, position)
+    return group ? group.text : null
+  }
+  if (char === '"') {
+    const end = content.indexOf('"', position + 1)
+    return end === -1 ? null : content.slice(position + 1, end)
+  }
+  const bare = content.slice(position).match(/^[^\s{}\\%]+/)
+  return bare ? bare[0] : null
+}
+
+/**
+ * File names in one argument of a FILE_COMMANDS entry
+ * @private
+ */
+function splitPaths (arg, spec) {
+  if (spec.groups) {
+    const groups = arg.match(/\{[^{}]*\}/g)
+    return groups ? groups.map(group => group.slice(1, -1)) : [arg]
+  }
+  return spec.list ? arg.split(',') : [arg]
+}
+
+/**
+ * Find sandbox policy violations in one source file
+ *
+ * Reports file commands whose names are absolute, leave the compile directory or are
+ * not written out literally (e.g. given by a macro), aliases of file commands, and
+ * constructs that could hide a file command from this scan: ^^ character escapes,
+ * \csname, \catcode, \scantokens, expl3 syntax and \special. Comments are scanned too,
+ * since \verb and similar commands can make % an ordinary character.
+ *
+ * @param {string} source - LaTeX source text
+ * @param {string} file - File name reported in violations
+ * @returns {Array<Object>} - Array of { rule, command, path, file, line, message, context }
+ */
+function scanSource (source, file) {
+  const violations = []
+  const report = (index, rule, command, referencedPath, message) => {
+    const line = source.slice(0, index).split('\n').length
+    violations.push({ rule, command, path: referencedPath, file, line, message, context: createCodeFrame(source, line) })
+  }
+  const checkPath = (index, command, referencedPath) => {
+    const trimmed = referencedPath === null ? null : referencedPath.trim()
+    if (trimmed === '') {
+      return
+    }
+    const rule = trimmed === null ? 'indirect-path' : classifyPath(trimmed)
+    if (rule) {
+      report(index, rule, command, trimmed, `${command} of ${RULE_DESCRIPTIONS[rule]}${trimmed === null ? '' : ` "${trimmed}"`} is not allowed in sandbox mode`)
+    }
+  }
+
+  const escape = source.indexOf('^^')
+  if (escape !== -1) {
+    report(escape, 'forbidden-command', '^^', null, '^^ character escapes are not allowed in sandbox mode')
+  }
+
+  CONTROL_SEQUENCE_RE.lastIndex = 0
+  let match
+  while ((match = CONTROL_SEQUENCE_RE.exec(source)) !== null) {
+    const name = match[1]
+    if (!name) {
+      continue
+    }
+    const index = match.index
+    const position = CONTROL_SEQUENCE_RE.lastIndex
+    const command = `\\${name}`
+
+    if (FORBIDDEN_COMMANDS.includes(name)) {
+      report(index, 'forbidden-command', command, null, `${command} is not allowed in sandbox mode`)
+    } else if (ALIAS_COMMANDS.includes(name)) {
+      // \let\x=\input: the copied command is the second control sequence
+      const target = source.slice(position).match(/^\s*\{?\s*\\(?:[A-Za-z@]+|[^])\s*\}?\s*=?\s*\{?\s*\\([A-Za-z@]+)/)
+      if (target && (FILE_COMMANDS[target[1]] || PRIMITIVE_FILE_COMMANDS[target[1]] || FORBIDDEN_COMMANDS.includes(target[1]))) {
+        report(index, 'indirect-path', command, null, `${command} of \\${target[1]} is not allowed in sandbox mode`)
+      }
+    } else if (Object.prototype.hasOwnProperty.call(PRIMITIVE_FILE_COMMANDS, name)) {
+      checkPath(index, command, readPrimitiveName(source, position, PRIMITIVE_FILE_COMMANDS[name]))
+    } else if (Object.prototype.hasOwnProperty.call(FILE_COMMANDS, name) || name === 'begin') {
+      let key = name
+      let argsStart = position
+      if (name === 'begin') {
+        const env = readArguments(source, position, 1)[0]
+        key = `begin:${env}`
+        if (!Object.prototype.hasOwnProperty.call(FILE_COMMANDS, key)) {
+          continue
+        }
+        argsStart = readGroup(source, source.indexOf('{', position)).end
+      }
+      const spec = FILE_COMMANDS[key]
+      const args = readArguments(source, argsStart, spec.args)
+      const label = name === 'begin' ? `\\begin{${key.slice(6)}}` : command
+      for (const i of spec.paths) {
+        if (i >= args.length) {
+          checkPath(index, label, null)
+          break
+        }
+        for (const referencedPath of splitPaths(args[i], spec)) {
+          checkPath(index, label, referencedPath)
+        }
+      }
+    }
+  }
+
+  return violations
+}
+
+/**
+ * Check a compile configuration against the sandbox policy before compiling
+ *
+ * Rejects shell escape (the shellEscape option) and scans the sources (`tex` and
+ * the text files in `files`, or `texFile`, the files it pulls in and every other text
+ * file under its directory) with scanSource().
+ * This is a best-effort check of the source, not a confinement of Tectonic.
+ *
+ * @param {Object} config - Compilation configuration
+ * @returns {Array<Object>} - Policy violations; empty if the compile may run
+ */
+function checkSandboxPolicy (config) {
+  const violations = []
+
+  if (config.shellEscape && config.shellEscape.enabled) {
+    violations.push({
+      rule: 'shell-escape',
+      command: null,
+      path: null,
+      file: null,
+      line: null,
+      message: 'shellEscape is not allowed in sandbox mode',
+      context: null
+    })
+  }
+
+  for (const { name, source } of collectTexSources(config, { allText: true, directory: true })) {
+    violations.push(...scanSource(source, name))
+  }
+
+  return violations
+}
+
+module.exports = {
+  SANDBOX_ENV_KEYS,
+  validateSandboxOption,
+  createSandboxEnv,
+  scanSource,
+  checkSandboxPolicy
+}
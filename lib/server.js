@@ -0,0 +1,308 @@
+'use strict'
+
+const http = require('http')
+const CompilerPool = require('./compiler-pool')
+const { InvalidConfigError, QueueFullError, CompilationError } = require('./errors')
+
+// Default request limits
+const DEFAULT_MAX_BODY_BYTES = 10 * 1024 * 1024
+const DEFAULT_TIMEOUT_MS = 60000
+
+/**
+ * Send a JSON response
+ * @private
+ */
+function sendJson (res, statusCode, body) {
+  const payload = JSON.stringify(body)
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  })
+  res.end(payload)
+}
+
+/**
+ * Error with an HTTP status code, reported to the client as JSON
+ * @private
+ */
+function httpError (statusCode, message) {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * Diagnostics for a response, without the source code frames
+ * @private
+ */
+function publicDiagnostics (diagnostics) {
+  return (diagnostics || []).map(diagnostic => Object.assign({}, diagnostic, { context: null }))
+}
+
+/**
+ * Read a request body, failing with 413 once it exceeds maxBytes
+ * @private
+ */
+function readBody (req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declaredLength = parseInt(req.headers['content-length'], 10)
+    if (declaredLength > maxBytes) {
+      reject(httpError(413, `Request body exceeds ${maxBytes} bytes`))
+      req.resume()
+      return
+    }
+
+    const chunks = []
+    let received = 0
+    let failed = false
+    req.on('data', (chunk) => {
+      if (failed) {
+        return
+      }
+      received += chunk.length
+      if (received > maxBytes) {
+        failed = true
+        reject(httpError(413, `Request body exceeds ${maxBytes} bytes`))
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      if (!failed) {
+        resolve(Buffer.concat(chunks))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Parse a JSON compile request: { tex, files?: { path: base64 } }
+ * @private
+ */
+function parseJsonRequest (body) {
+  let data
+  try {
+    data = JSON.parse(body.toString('utf-8'))
+  } catch (e) {
+    throw httpError(400, `Invalid JSON body: ${e.message}`)
+  }
+  if (!data || typeof data.tex !== 'string') {
+    throw httpError(400, 'Request body must include a "tex" string')
+  }
+
+  let files
+  if (data.files !== undefined) {
+    if (!data.files || typeof data.files !== 'object' || Array.isArray(data.files)) {
+      throw httpError(400, '"files" must be an object mapping paths to base64 strings')
+    }
+    files = {}
+    for (const name of Object.keys(data.files)) {
+      if (typeof data.files[name] !== 'string') {
+        throw httpError(400, `File "${name}" must be a base64 string`)
+      }
+      files[name] = Buffer.from(data.files[name], 'base64')
+    }
+  }
+
+  return { tex: data.tex, files }
+}
+
+/**
+ * Parse a multipart/form-data compile request
+ * The part named "tex" is the main source; every other part becomes an auxiliary
+ * file named after its filename (or its field name if it has none)
+ * @private
+ */
+function parseMultipartRequest (body, contentType) {
+  const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i)
+  if (!boundaryMatch) {
+    throw httpError(400, 'Multipart body is missing a boundary')
+  }
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`)
+
+  let tex = null
+  const files = {}
+  let position = body.indexOf(delimiter)
+  while (position !== -1) {
+    const partStart = position + delimiter.length
+    // "--" after the delimiter marks the end of the body
+    if (body.slice(partStart, partStart + 2).toString() === '--') {
+      break
+    }
+    const next = body.indexOf(delimiter, partStart)
+    if (next === -1) {
+      break
+    }
+
+    // Part: CRLF headers CRLF CRLF content CRLF
+    const part = body.slice(partStart + 2, next - 2)
+    const headerEnd = part.indexOf('\r\n\r\n')
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf-8')
+      const content = part.slice(headerEnd + 4)
+      const nameMatch = headers.match(/name="([^"]*)"/i)
+      const filenameMatch = headers.match(/filename="([^"]*)"/i)
+      const name = nameMatch ? nameMatch[1] : null
+      if (name === 'tex') {
+        tex = content.toString('utf-8')
+      } else if (filenameMatch && filenameMatch[1]) {
+        files[filenameMatch[1]] = content
+      } else if (name) {
+        files[name] = content
+      }
+    }
+    position = next
+  }
+
+  if (tex === null) {
+    throw httpError(400, 'Multipart body must include a "tex" part')
+  }
+  return { tex, files: Object.keys(files).length > 0 ? files : undefined }
+}
+
+/**
+ * Create an HTTP compile service
+ *
+ * Routes:
+ * - POST /compile - JSON `{ tex, files? }` (files as base64) or multipart/form-data
+ *   (a "tex" part plus file parts). Responds with application/pdf on success, or
+ *   JSON `{ status, error, diagnostics }` on failure. Diagnostics are sent without
+ *   their source `context`.
+ *
+ * Request bodies are untrusted, so they are compiled with `sandbox: true` unless
+ * `options.sandbox` is false.
+ * - GET /health - JSON `{ status, available, version, pool }`
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxBodyBytes] - Maximum request body size (default: 10 MiB)
+ * @param {number} [options.maxConcurrent] - Maximum concurrent compilations
+ * @param {number} [options.maxQueue] - Maximum queued compilations before responding 503
+ * @param {number} [options.timeoutMs] - Per-compilation timeout (default: 60000)
+ * @param {boolean} [options.sandbox] - Compile requests in sandbox mode (default: true)
+ * @param {string} [options.tectonicPath] - Custom path to Tectonic executable
+ * @returns {http.Server} - Server (not yet listening)
+ */
+function createServer (options) {
+  options = options || {}
+  const maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS
+  const sandbox = options.sandbox !== false
+  const pool = new CompilerPool(options)
+
+  async function handleCompile (req, res) {
+    const contentType = req.headers['content-type'] || ''
+    const body = await readBody(req, maxBodyBytes)
+
+    let request
+    if (/^application\/json/i.test(contentType)) {
+      request = parseJsonRequest(body)
+    } else if (/^multipart\/form-data/i.test(contentType)) {
+      request = parseMultipartRequest(body, contentType)
+    } else {
+      throw httpError(415, 'Content-Type must be application/json or multipart/form-data')
+    }
+
+    // Stop compiling if the client goes away
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+    const onClose = () => {
+      if (controller && !res.writableEnded) {
+        controller.abort()
+      }
+    }
+    res.on('close', onClose)
+
+    let result
+    try {
+      result = await pool.compile({
+        tex: request.tex,
+        files: request.files,
+        returnBuffer: true,
+        timeoutMs,
+        sandbox,
+        signal: controller ? controller.signal : undefined
+      })
+    } catch (error) {
+      if (error instanceof QueueFullError) {
+        throw httpError(503, error.message)
+      }
+      if (error instanceof InvalidConfigError) {
+        throw httpError(400, error.message)
+      }
+      if (!(error instanceof CompilationError)) {
+        throw error
+      }
+      // Compilers created with errorMode: 'throw'
+      result = error.result
+    } finally {
+      res.removeListener('close', onClose)
+    }
+
+    if (result.status === 'aborted') {
+      return
+    }
+    if (result.code === 'INVALID_CONFIG') {
+      // Compilers created with errorMode: 'resolve'
+      throw httpError(400, result.error)
+    }
+    if (result.status === 'success') {
+      res.writeHead(200, {
+        'Content-Type': 'application/pdf',
+        'Content-Length': result.pdfBuffer.length
+      })
+      res.end(result.pdfBuffer)
+      return
+    }
+
+    sendJson(res, result.status === 'timeout' ? 504 : 422, {
+      status: result.status,
+      error: result.error || 'Compilation failed',
+      exitCode: result.exitCode,
+      diagnostics: publicDiagnostics(result.diagnostics)
+    })
+  }
+
+  async function handleHealth (req, res) {
+    const available = pool.compiler.isAvailable()
+    const version = available ? await pool.compiler.getVersion() : null
+    sendJson(res, available ? 200 : 503, {
+      status: available ? 'ok' : 'unavailable',
+      available,
+      version,
+      // JSON has no Infinity: an unlimited queue is reported as maxQueue: null
+      pool: Object.assign(pool.stats(), { maxQueue: pool.maxQueue === Infinity ? null : pool.maxQueue })
+    })
+  }
+
+  const server = http.createServer((req, res) => {
+    const pathname = (req.url || '/').split('?')[0]
+    let handler = null
+    if (pathname === '/compile') {
+      handler = req.method === 'POST' ? handleCompile : null
+    } else if (pathname === '/health') {
+      handler = req.method === 'GET' ? handleHealth : null
+    } else {
+      sendJson(res, 404, { error: 'Not found' })
+      return
+    }
+    if (!handler) {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` })
+      return
+    }
+
+    handler(req, res).catch((error) => {
+      if (res.headersSent) {
+        res.destroy()
+        return
+      }
+      sendJson(res, error.statusCode || 500, { status: 'failed', error: error.message, diagnostics: [] })
+    })
+  })
+
+  server.pool = pool
+  return server
+}
+
+module.exports = {
+  createServer
+}
@@ -0,0 +1,69 @@
+'use strict'
+
+/**
+ * Stand-in for `sh` while Tectonic runs with shell escape enabled
+ *
+ * Invoked as `sh -c <command>`. Runs the command only if it is a single
+ * allowed command and appends every invocation to the log named in the
+ * configuration. Refused commands exit with status 127, like an unknown command.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { CONFIG_ENV, parseCommandLine } = require('./shell-escape')
+
+function main (argv) {
+  const config = JSON.parse(fs.readFileSync(process.env[CONFIG_ENV], 'utf-8'))
+  const commandLine = argv[0] === '-c' ? argv[1] || '' : argv.join(' ')
+  const invocation = { commandLine, command: null, args: [], allowed: false, exitCode: 127 }
+
+  const record = () => {
+    fs.appendFileSync(config.logPath, JSON.stringify(invocation) + '\n')
+    return invocation.exitCode
+  }
+
+  const parsed = parseCommandLine(commandLine)
+  if (parsed.error) {
+    invocation.error = `Refused shell escape: ${parsed.error}`
+    process.stderr.write(`${invocation.error}\n`)
+    return record()
+  }
+
+  invocation.command = parsed.argv[0]
+  invocation.args = parsed.argv.slice(1)
+  const executable = Object.prototype.hasOwnProperty.call(config.commands, invocation.command)
+    ? config.commands[invocation.command]
+    : null
+  if (!executable) {
+    invocation.error = `Refused shell escape: ${invocation.command} is not an allowed command`
+    process.stderr.write(`${invocation.error}\n`)
+    return record()
+  }
+  invocation.allowed = true
+
+  // Commands run with the caller's PATH, not the wrapper's
+  const env = Object.assign({}, process.env, { PATH: config.path })
+  delete env[CONFIG_ENV]
+
+  const openRedirect = (file, append) => fs.openSync(path.resolve(file), append ? 'a' : 'w')
+  const stdout = parsed.stdout ? openRedirect(parsed.stdout, parsed.append) : 'inherit'
+  const stderr = parsed.stderr ? openRedirect(parsed.stderr, false) : 'inherit'
+  try {
+    const child = spawnSync(executable, invocation.args, { stdio: ['ignore', stdout, stderr], env })
+    if (child.error) {
+      invocation.error = child.error.message
+    } else {
+      invocation.exitCode = child.status === null ? 128 : child.status
+    }
+  } finally {
+    for (const fd of [stdout, stderr]) {
+      if (typeof fd === 'number') {
+        fs.closeSync(fd)
+      }
+    }
+  }
+  return record()
+}
+
+process.exitCode = main(process.argv.slice(2))
@@ -0,0 +1,231 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { findExecutableInPath } = require('./platform-resolver')
+const { InvalidConfigError, InputNotFoundError } = require('./errors')
+
+// Environment variable pointing the wrapper at its configuration
+const CONFIG_ENV = 'NODE_LATEX_COMPILER_SHELL_ESCAPE'
+
+// Characters that make the shell do more than run a single command
+const UNSAFE_CHARS = [';', '&', '|', '<', '$', '`', '(', ')', '\n', '\r']
+
+/**
+ * Validate the shellEscape option
+ * Throws an InvalidConfigError describing the first invalid field
+ *
+ * @param {Object} config - Compilation configuration
+ */
+function validateShellEscapeOption (config) {
+  const shellEscape = config.shellEscape
+  if (shellEscape === undefined) {
+    return
+  }
+  if (!shellEscape || typeof shellEscape !== 'object' || Array.isArray(shellEscape)) {
+    throw new InvalidConfigError('Invalid shellEscape: expected { enabled, allowedCommands, cwd }', 'shellEscape')
+  }
+  if (typeof shellEscape.enabled !== 'boolean') {
+    throw new InvalidConfigError('Invalid shellEscape.enabled: expected a boolean', 'shellEscape.enabled')
+  }
+  if (shellEscape.allowedCommands !== undefined && (
+    !Array.isArray(shellEscape.allowedCommands) ||
+    shellEscape.allowedCommands.some(command => typeof command !== 'string' || !command)
+  )) {
+    throw new InvalidConfigError('Invalid shellEscape.allowedCommands: expected an array of command names or paths', 'shellEscape.allowedCommands')
+  }
+  if (shellEscape.cwd !== undefined && (typeof shellEscape.cwd !== 'string' || !shellEscape.cwd)) {
+    throw new InvalidConfigError('Invalid shellEscape.cwd: expected a directory path', 'shellEscape.cwd')
+  }
+  if (shellEscape.enabled) {
+    if (process.platform === 'win32') {
+      throw new InvalidConfigError('shellEscape is not supported on Windows', 'shellEscape')
+    }
+  }
+}
+
+/**
+ * Quote a string for a POSIX shell script
+ * @private
+ */
+function shellQuote (value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`
+}
+
+/**
+ * Set up the allowlist wrapper in a directory
+ *
+ * Tectonic runs \write18 commands with `sh -c`. The directory gets an `sh`
+ * that hands the command to shell-escape-wrapper.js, which runs it only if it
+ * is a single allowed command and records every invocation.
+ *
+ * @param {Object} shellEscape - The shellEscape option
+ * @param {string} wrapperDir - Empty directory for the wrapper files
+ * @returns {Object} - { binDir, configPath, logPath }
+ */
+function prepareShellEscape (shellEscape, wrapperDir) {
+  const commands = {}
+  for (const command of shellEscape.allowedCommands || []) {
+    const resolved = command.includes('/') ? path.resolve(command) : findExecutableInPath(command)
+    if (!resolved || !fs.existsSync(resolved)) {
+      throw new InputNotFoundError(`Shell escape command not found: ${command}`, command, 'shellEscape.allowedCommands')
+    }
+    commands[path.basename(command)] = resolved
+  }
+
+  const binDir = path.join(wrapperDir, 'bin')
+  const configPath = path.join(wrapperDir, 'config.json')
+  const logPath = path.join(wrapperDir, 'invocations.jsonl')
+  fs.mkdirSync(binDir, { recursive: true })
+  fs.writeFileSync(configPath, JSON.stringify({ commands, logPath, path: process.env.PATH || '' }))
+  fs.writeFileSync(
+    path.join(binDir, 'sh'),
+    `#!/bin/sh\nexec ${shellQuote(process.execPath)} ${shellQuote(path.join(__dirname, 'shell-escape-wrapper.js'))} "$@"\n`,
+    { mode: 0o755 }
+  )
+
+  return { binDir, configPath, logPath }
+}
+
+/**
+ * Read the invocations recorded by the wrapper
+ * Lines that do not parse (e.g. cut short when Tectonic was killed) are skipped.
+ *
+ * @param {string} logPath - Log written by the wrapper
+ * @returns {Array<Object>} - Array of { commandLine, command, args, allowed, exitCode, error? }
+ */
+function readInvocations (logPath) {
+  let text
+  try {
+    text = fs.readFileSync(logPath, 'utf-8')
+  } catch (e) {
+    return []
+  }
+  const invocations = []
+  for (const line of text.split('\n')) {
+    if (!line) {
+      continue
+    }
+    try {
+      invocations.push(JSON.parse(line))
+    } catch (e) {
+      // Partial line
+    }
+  }
+  return invocations
+}
+
+/**
+ * Split a shell command line into words and output redirections
+ *
+ * Supports quoting, backslash escapes and `>`, `>>` and `2>` redirections to
+ * files. Anything else the shell would interpret (pipes, command lists,
+ * substitutions, input redirection) is refused.
+ *
+ * @param {string} commandLine - Command passed to `sh -c`
+ * @returns {Object} - { argv, stdout, stderr, append } or { error }
+ */
+function parseCommandLine (commandLine) {
+  const words = []
+  let current = null
+  let quote = null
+
+  for (let i = 0; i < commandLine.length; i++) {
+    const char = commandLine[i]
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null
+      } else {
+        current += char
+      }
+      continue
+    }
+    if (quote === '"') {
+      if (char === '"') {
+        quote = null
+      } else if (char === '$' || char === '`') {
+        return { error: `"${char}" is not allowed` }
+      } else if (char === '\\' && '"\\$`'.includes(commandLine[i + 1])) {
+        current += commandLine[++i]
+      } else {
+        current += char
+      }
+      continue
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char
+      current = current === null ? '' : current
+    } else if (char === '\\') {
+      current = (current === null ? '' : current) + (commandLine[++i] || '')
+    } else if (char === ' ' || char === '\t') {
+      if (current !== null) {
+        words.push({ value: current })
+        current = null
+      }
+    } else if (char === '>') {
+      // "2>" redirects stderr, ">>" appends
+      let operator = '>'
+      if (current === '2' && commandLine[i - 1] === '2') {
+        operator = '2>'
+        current = null
+      } else if (current !== null) {
+        words.push({ value: current })
+        current = null
+      }
+      if (commandLine[i + 1] === '>') {
+        operator += '>'
+        i++
+      }
+      words.push({ operator })
+    } else if (UNSAFE_CHARS.includes(char)) {
+      return { error: `"${char.trim() || 'newline'}" is not allowed` }
+    } else {
+      current = (current === null ? '' : current) + char
+    }
+  }
+  if (quote) {
+    return { error: 'unterminated quote' }
+  }
+  if (current !== null) {
+    words.push({ value: current })
+  }
+
+  const result = { argv: [], stdout: null, stderr: null, append: false }
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i]
+    if (word.operator === undefined) {
+      result.argv.push(word.value)
+      continue
+    }
+    const target = words[i + 1]
+    if (!target || target.operator !== undefined) {
+      return { error: `missing file after "${word.operator}"` }
+    }
+    const normalized = target.value.replace(/\\/g, '/')
+    if (path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+      return { error: `redirection to "${target.value}" is not allowed` }
+    }
+    if (word.operator === '2>') {
+      result.stderr = target.value
+    } else if (word.operator === '2>>') {
+      return { error: '"2>>" is not allowed' }
+    } else {
+      result.stdout = target.value
+      result.append = word.operator === '>>'
+    }
+    i++
+  }
+  if (result.argv.length === 0) {
+    return { error: 'empty command' }
+  }
+  return result
+}
+
+module.exports = {
+  CONFIG_ENV,
+  validateShellEscapeOption,
+  prepareShellEscape,
+  readInvocations,
+  parseCommandLine
+}
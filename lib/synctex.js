@@ -0,0 +1,312 @@
+'use strict'
+
+const zlib = require('zlib')
+
+// Scaled points per PostScript big point (TeX sp -> PDF bp)
+const SP_PER_BP = 65781.76
+
+// Record types that describe boxes with a width, height and depth
+const BOX_TYPES = ['[', '(', 'h', 'v']
+
+/**
+ * Decompress a SyncTeX buffer if it is gzipped
+ * @private
+ */
+function toText (buffer) {
+  if (typeof buffer === 'string') {
+    return buffer
+  }
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf-8')
+  }
+  return buffer.toString('utf-8')
+}
+
+/**
+ * Normalize a file name for comparison
+ * @private
+ */
+function normalizeName (name) {
+  return name.replace(/\\/g, '/').replace(/(^|\/)\.\//g, '$1')
+}
+
+/**
+ * Rewrite the file names in the Input lines of a SyncTeX file
+ *
+ * @param {Buffer|string} buffer - SyncTeX data (gzipped or plain)
+ * @param {Function} rename - (name) => new name, or null to keep it
+ * @returns {Buffer} - Rewritten SyncTeX data, gzipped if the input was
+ */
+function rewriteInputs (buffer, rename) {
+  const gzipped = Buffer.isBuffer(buffer) && buffer[0] === 0x1f && buffer[1] === 0x8b
+  const text = toText(buffer).replace(/^Input:(\d+):(.*)$/gm, (line, tag, name) => {
+    const renamed = rename(name)
+    return renamed ? `Input:${tag}:${renamed}` : line
+  })
+  return gzipped ? zlib.gzipSync(text) : Buffer.from(text, 'utf-8')
+}
+
+/**
+ * Parsed SyncTeX data with forward and inverse search
+ * Coordinates are PDF points (1/72 inch) measured from the top-left corner of the page
+ */
+class SyncTeX {
+  constructor (text) {
+    this.inputs = {}
+    this.pages = {}
+    this.unit = 1
+    this.magnification = 1000
+    this.xOffset = 0
+    this.yOffset = 0
+    this.parse(text)
+  }
+
+  /**
+   * Find where a source line was typeset
+   * Falls back to the nearest line with output if the line itself produced none
+   *
+   * @param {string} file - Source file name (full path, relative path or base name)
+   * @param {number} line - 1-based line number
+   * @returns {Object|null} - { page, x, y, w, h } or null if the file is unknown
+   */
+  forward (file, line) {
+    const tags = this.findTags(file)
+    if (tags.length === 0) {
+      return null
+    }
+
+    // Records for the file, grouped by line
+    const candidates = []
+    for (const page of Object.keys(this.pages)) {
+      for (const record of this.pages[page]) {
+        if (tags.includes(record.tag) && record.line > 0) {
+          candidates.push(record)
+        }
+      }
+    }
+    if (candidates.length === 0) {
+      return null
+    }
+
+    let bestLine = null
+    for (const record of candidates) {
+      const distance = Math.abs(record.line - line)
+      if (bestLine === null || distance < Math.abs(bestLine - line) || (distance === Math.abs(bestLine - line) && record.line > bestLine)) {
+        bestLine = record.line
+      }
+    }
+
+    const matches = candidates.filter(record => record.line === bestLine)
+    const firstPage = Math.min.apply(null, matches.map(record => record.page))
+    const onPage = matches.filter(record => record.page === firstPage)
+    const boxes = onPage.filter(record => record.type === '(' || record.type === 'h')
+    const selected = boxes.length > 0 ? boxes : onPage
+
+    let left = Infinity
+    let top = Infinity
+    let right = -Infinity
+    let bottom = -Infinity
+    for (const record of selected) {
+      const rect = this.rect(record)
+      left = Math.min(left, rect.x)
+      top = Math.min(top, rect.y)
+      right = Math.max(right, rect.x + rect.w)
+      bottom = Math.max(bottom, rect.y + rect.h)
+    }
+
+    return { page: firstPage, x: left, y: top, w: right - left, h: bottom - top }
+  }
+
+  /**
+   * Find the source line typeset at a point of a page
+   *
+   * @param {number} page - 1-based page number
+   * @param {number} x - Horizontal position in points from the left edge
+   * @param {number} y - Vertical position in points from the top edge
+   * @returns {Object|null} - { file, line } or null if the page has no records
+   */
+  inverse (page, x, y) {
+    const records = (this.pages[page] || []).filter(record => record.line > 0 && this.inputs[record.tag])
+    if (records.length === 0) {
+      return null
+    }
+
+    // Innermost horizontal box containing the point
+    let container = null
+    let containerArea = Infinity
+    for (const record of records) {
+      if (record.type !== '(' && record.type !== 'h') {
+        continue
+      }
+      const rect = this.rect(record)
+      if (x >= rect.x && x <= rect.x + rect.w && y >= rect.y && y <= rect.y + rect.h) {
+        const area = rect.w * rect.h
+        if (area < containerArea) {
+          container = record
+          containerArea = area
+        }
+      }
+    }
+
+    // Nearest record, restricted to the container when there is one
+    let candidates = records
+    if (container) {
+      const rect = this.rect(container)
+      candidates = records.filter((record) => {
+        const point = this.point(record)
+        return point.x >= rect.x && point.x <= rect.x + rect.w && point.y >= rect.y && point.y <= rect.y + rect.h
+      })
+    }
+
+    let best = container
+    let bestDistance = Infinity
+    for (const record of candidates) {
+      if (BOX_TYPES.includes(record.type) && record !== container) {
+        continue
+      }
+      const point = this.point(record)
+      // Weigh vertical distance more so that the nearest line wins over the nearest column
+      const distance = Math.abs(point.x - x) + 4 * Math.abs(point.y - y)
+      if (distance < bestDistance) {
+        best = record
+        bestDistance = distance
+      }
+    }
+
+    if (!best) {
+      return null
+    }
+    return { file: this.inputs[best.tag], line: best.line }
+  }
+
+  /**
+   * Tags of inputs whose name matches a file name
+   * @private
+   */
+  findTags (file) {
+    const wanted = normalizeName(file)
+    const tags = []
+    for (const tag of Object.keys(this.inputs)) {
+      const name = normalizeName(this.inputs[tag])
+      if (name === wanted || name.endsWith('/' + wanted) || wanted.endsWith('/' + name)) {
+        tags.push(Number(tag))
+      }
+    }
+    return tags
+  }
+
+  /**
+   * Convert a length in scaled points to PDF points
+   * @private
+   */
+  toPoints (value, offset) {
+    return ((value * this.unit + (offset || 0)) / SP_PER_BP) * (this.magnification / 1000)
+  }
+
+  /**
+   * Position of a record in points
+   * @private
+   */
+  point (record) {
+    return { x: this.toPoints(record.h, this.xOffset), y: this.toPoints(record.v, this.yOffset) }
+  }
+
+  /**
+   * Bounding rectangle of a record in points (top-left corner, width, height)
+   * @private
+   */
+  rect (record) {
+    const point = this.point(record)
+    const width = this.toPoints(record.width || 0)
+    const height = this.toPoints(record.height || 0)
+    const depth = this.toPoints(record.depth || 0)
+    return { x: point.x, y: point.y - height, w: width, h: height + depth }
+  }
+
+  /**
+   * Parse SyncTeX text into inputs and per-page records
+   * @private
+   */
+  parse (text) {
+    const lines = text.split(/\r?\n/)
+    let page = null
+    let inContent = false
+
+    for (const line of lines) {
+      if (!inContent) {
+        const input = line.match(/^Input:(\d+):(.*)$/)
+        if (input) {
+          this.inputs[input[1]] = input[2]
+        } else if (line.startsWith('Unit:')) {
+          this.unit = Number(line.slice(5)) || 1
+        } else if (line.startsWith('Magnification:')) {
+          this.magnification = Number(line.slice(14)) || 1000
+        } else if (line.startsWith('X Offset:')) {
+          this.xOffset = Number(line.slice(9)) || 0
+        } else if (line.startsWith('Y Offset:')) {
+          this.yOffset = Number(line.slice(9)) || 0
+        } else if (line.startsWith('Content:')) {
+          inContent = true
+        }
+        continue
+      }
+
+      // Inputs may also be declared inside the content
+      const input = line.match(/^Input:(\d+):(.*)$/)
+      if (input) {
+        this.inputs[input[1]] = input[2]
+        continue
+      }
+      if (line.startsWith('Postamble:')) {
+        break
+      }
+
+      const type = line[0]
+      if (type === '{') {
+        page = parseInt(line.slice(1), 10)
+        this.pages[page] = this.pages[page] || []
+        continue
+      }
+      if (type === '}') {
+        page = null
+        continue
+      }
+      if (page === null) {
+        continue
+      }
+
+      // <type><tag>,<line>[,<column>]:<h>,<v>[:<W>,<H>,<D>]  or  k/g: ...:<W>
+      const match = line.slice(1).match(/^(\d+),(-?\d+)(?:,-?\d+)?:(-?\d+),(-?\d+)(?::(-?\d+)(?:,(-?\d+),(-?\d+))?)?/)
+      if (!match) {
+        continue
+      }
+      this.pages[page].push({
+        type,
+        page,
+        tag: Number(match[1]),
+        line: Number(match[2]),
+        h: Number(match[3]),
+        v: Number(match[4]),
+        width: match[5] !== undefined ? Number(match[5]) : 0,
+        height: match[6] !== undefined ? Number(match[6]) : 0,
+        depth: match[7] !== undefined ? Number(match[7]) : 0
+      })
+    }
+  }
+}
+
+/**
+ * Load SyncTeX data from a .synctex or .synctex.gz buffer
+ *
+ * @param {Buffer|string} buffer - SyncTeX data
+ * @returns {SyncTeX} - Parsed data with forward() and inverse()
+ */
+function load (buffer) {
+  return new SyncTeX(toText(buffer))
+}
+
+module.exports = {
+  load,
+  rewriteInputs,
+  SyncTeX
+}
@@ -0,0 +1,162 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { InvalidConfigError, InputNotFoundError } = require('./errors')
+
+// Boolean compile options and the Tectonic flags they map to
+const FLAG_OPTIONS = {
+  keepLogs: '--keep-logs',
+  keepIntermediates: '--keep-intermediates',
+  synctex: '--synctex',
+  print: '--print',
+  onlyCached: '--only-cached'
+}
+
+/**
+ * Output formats supported by Tectonic's --outfmt
+ */
+const OUTPUT_FORMATS = ['pdf', 'xdv', 'aux', 'html', 'fmt']
+
+// Boolean `unstable` options and their -Z names
+const UNSTABLE_FLAGS = {
+  continueOnErrors: 'continue-on-errors',
+  deterministicMode: 'deterministic-mode'
+}
+
+// Valued `unstable` options and their -Z names
+const UNSTABLE_VALUES = {
+  minCrossrefs: 'min-crossrefs',
+  paperSize: 'paper-size',
+  searchPath: 'search-path'
+}
+
+// -Z shell escape options; shell escape only runs through the shellEscape option's allowlist
+const UNSTABLE_SHELL_ESCAPE = ['shellEscape', 'shellEscapeCwd']
+
+/**
+ * Validate the Tectonic pass-through options of a compile configuration
+ * Throws an InvalidConfigError describing the first invalid option
+ *
+ * @param {Object} config - Compilation configuration
+ */
+function validateTectonicOptions (config) {
+  for (const name of Object.keys(FLAG_OPTIONS)) {
+    if (config[name] !== undefined && typeof config[name] !== 'boolean') {
+      throw new InvalidConfigError(`Invalid ${name}: expected a boolean`, name)
+    }
+  }
+
+  if (config.reruns !== undefined && !(Number.isInteger(config.reruns) && config.reruns >= 0)) {
+    throw new InvalidConfigError(`Invalid reruns: ${config.reruns}. Expected a non-negative integer.`, 'reruns')
+  }
+
+  if (config.outputFormat !== undefined && !OUTPUT_FORMATS.includes(config.outputFormat)) {
+    throw new InvalidConfigError(`Invalid outputFormat: ${config.outputFormat}. Expected one of ${OUTPUT_FORMATS.join(', ')}.`, 'outputFormat')
+  }
+
+  if (config.bundle !== undefined && config.webBundle !== undefined) {
+    throw new InvalidConfigError('bundle and webBundle cannot be used together', 'webBundle')
+  }
+  if (config.bundle !== undefined) {
+    if (typeof config.bundle !== 'string' || !config.bundle) {
+      throw new InvalidConfigError('Invalid bundle: expected a path to a bundle file or directory', 'bundle')
+    }
+    if (!fs.existsSync(config.bundle)) {
+      throw new InputNotFoundError(`Bundle not found: ${config.bundle}`, config.bundle, 'bundle')
+    }
+  }
+  if (config.webBundle !== undefined && !(typeof config.webBundle === 'string' && /^https?:\/\//.test(config.webBundle))) {
+    throw new InvalidConfigError(`Invalid webBundle: ${config.webBundle}. Expected an http(s) URL.`, 'webBundle')
+  }
+
+  const unstable = config.unstable
+  if (unstable === undefined) {
+    return
+  }
+  if (!unstable || typeof unstable !== 'object' || Array.isArray(unstable)) {
+    throw new InvalidConfigError('Invalid unstable: expected an object of -Z options', 'unstable')
+  }
+  for (const name of Object.keys(unstable)) {
+    const value = unstable[name]
+    if (value === undefined) {
+      continue
+    }
+    if (UNSTABLE_SHELL_ESCAPE.includes(name)) {
+      throw new InvalidConfigError(`unstable.${name} is not supported; use the shellEscape option`, `unstable.${name}`)
+    } else if (Object.prototype.hasOwnProperty.call(UNSTABLE_FLAGS, name)) {
+      if (typeof value !== 'boolean') {
+        throw new InvalidConfigError(`Invalid unstable.${name}: expected a boolean`, `unstable.${name}`)
+      }
+    } else if (name === 'minCrossrefs') {
+      if (!(Number.isInteger(value) && value >= 0)) {
+        throw new InvalidConfigError(`Invalid unstable.minCrossrefs: ${value}. Expected a non-negative integer.`, 'unstable.minCrossrefs')
+      }
+    } else if (name === 'searchPath') {
+      const paths = Array.isArray(value) ? value : [value]
+      if (paths.some(p => typeof p !== 'string' || !p)) {
+        throw new InvalidConfigError('Invalid unstable.searchPath: expected a path or an array of paths', 'unstable.searchPath')
+      }
+    } else if (name === 'paperSize') {
+      if (typeof value !== 'string' || !value) {
+        throw new InvalidConfigError('Invalid unstable.paperSize: expected a non-empty string', 'unstable.paperSize')
+      }
+    } else {
+      throw new InvalidConfigError(`Unknown unstable option: ${name}`, `unstable.${name}`)
+    }
+  }
+}
+
+/**
+ * Translate the Tectonic pass-through options into command-line arguments
+ * Call validateTectonicOptions() first
+ *
+ * @param {Object} config - Compilation configuration
+ * @returns {string[]} - Tectonic arguments
+ */
+function buildTectonicArgs (config) {
+  const args = []
+
+  for (const name of Object.keys(FLAG_OPTIONS)) {
+    if (config[name]) {
+      args.push(FLAG_OPTIONS[name])
+    }
+  }
+  if (config.outputFormat !== undefined) {
+    args.push('--outfmt', config.outputFormat)
+  }
+  if (config.reruns !== undefined) {
+    args.push('--reruns', String(config.reruns))
+  }
+  if (config.bundle !== undefined) {
+    args.push('--bundle', path.resolve(config.bundle))
+  }
+  if (config.webBundle !== undefined) {
+    args.push('--web-bundle', config.webBundle)
+  }
+
+  const unstable = config.unstable || {}
+  for (const name of Object.keys(UNSTABLE_FLAGS)) {
+    if (unstable[name]) {
+      args.push('-Z', UNSTABLE_FLAGS[name])
+    }
+  }
+  for (const name of Object.keys(UNSTABLE_VALUES)) {
+    if (unstable[name] === undefined) {
+      continue
+    }
+    const values = Array.isArray(unstable[name]) ? unstable[name] : [unstable[name]]
+    for (const value of values) {
+      const resolved = name === 'searchPath' ? path.resolve(value) : value
+      args.push('-Z', `${UNSTABLE_VALUES[name]}=${resolved}`)
+    }
+  }
+
+  return args
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  validateTectonicOptions,
+  buildTectonicArgs
+}
@@ -0,0 +1,298 @@
+'use strict'
+
+/**
+ * Minimal TOML reader for Tectonic.toml files
+ *
+ * Supports tables, arrays of tables, dotted and quoted keys, basic and literal
+ * strings (including multi-line), integers, floats, booleans, arrays and
+ * inline tables. Dates are returned as strings. Tables are objects without a
+ * prototype, so keys such as __proto__ are ordinary keys.
+ */
+
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' }
+
+class TomlParser {
+  constructor (text) {
+    this.text = text.replace(/\r\n/g, '\n')
+    this.pos = 0
+    this.line = 1
+  }
+
+  error (message) {
+    return new Error(`Invalid TOML at line ${this.line}: ${message}`)
+  }
+
+  peek (offset) {
+    return this.text[this.pos + (offset || 0)]
+  }
+
+  startsWith (value) {
+    return this.text.startsWith(value, this.pos)
+  }
+
+  advance (count) {
+    for (let i = 0; i < (count || 1); i++) {
+      if (this.text[this.pos] === '\n') {
+        this.line++
+      }
+      this.pos++
+    }
+  }
+
+  // Skip spaces and tabs, and newlines and comments when `newlines` is set
+  skipWhitespace (newlines) {
+    while (this.pos < this.text.length) {
+      const char = this.peek()
+      if (char === ' ' || char === '\t' || (newlines && char === '\n')) {
+        this.advance()
+      } else if (char === '#') {
+        while (this.pos < this.text.length && this.peek() !== '\n') {
+          this.advance()
+        }
+      } else {
+        break
+      }
+    }
+  }
+
+  expectLineEnd () {
+    this.skipWhitespace(false)
+    if (this.pos < this.text.length && this.peek() !== '\n') {
+      throw this.error(`unexpected "${this.peek()}"`)
+    }
+  }
+
+  parse () {
+    const root = Object.create(null)
+    let current = root
+
+    for (;;) {
+      this.skipWhitespace(true)
+      if (this.pos >= this.text.length) {
+        return root
+      }
+
+      if (this.startsWith('[[')) {
+        this.advance(2)
+        const keys = this.parseKey()
+        if (!this.startsWith(']]')) {
+          throw this.error('expected "]]"')
+        }
+        this.advance(2)
+        const parent = this.resolveTable(root, keys.slice(0, -1))
+        const name = keys[keys.length - 1]
+        if (parent[name] === undefined) {
+          parent[name] = []
+        }
+        if (!Array.isArray(parent[name])) {
+          throw this.error(`"${keys.join('.')}" is not an array of tables`)
+        }
+        current = Object.create(null)
+        parent[name].push(current)
+      } else if (this.peek() === '[') {
+        this.advance()
+        const keys = this.parseKey()
+        if (this.peek() !== ']') {
+          throw this.error('expected "]"')
+        }
+        this.advance()
+        current = this.resolveTable(root, keys)
+      } else {
+        this.parseKeyValue(current)
+      }
+      this.expectLineEnd()
+    }
+  }
+
+  // Walk (creating as needed) to the table named by keys; arrays of tables resolve to their last entry
+  resolveTable (table, keys) {
+    for (const key of keys) {
+      if (table[key] === undefined) {
+        table[key] = Object.create(null)
+      }
+      table = Array.isArray(table[key]) ? table[key][table[key].length - 1] : table[key]
+      if (!table || typeof table !== 'object') {
+        throw this.error(`"${key}" is not a table`)
+      }
+    }
+    return table
+  }
+
+  parseKeyValue (table) {
+    const keys = this.parseKey()
+    if (this.peek() !== '=') {
+      throw this.error('expected "="')
+    }
+    this.advance()
+    this.skipWhitespace(false)
+    const target = this.resolveTable(table, keys.slice(0, -1))
+    target[keys[keys.length - 1]] = this.parseValue()
+  }
+
+  parseKey () {
+    const keys = []
+    for (;;) {
+      this.skipWhitespace(false)
+      const char = this.peek()
+      if (char === '"' || char === "'") {
+        keys.push(this.parseString())
+      } else {
+        const match = this.text.slice(this.pos).match(/^[A-Za-z0-9_-]+/)
+        if (!match) {
+          throw this.error('expected a key')
+        }
+        keys.push(match[0])
+        this.advance(match[0].length)
+      }
+      this.skipWhitespace(false)
+      if (this.peek() !== '.') {
+        return keys
+      }
+      this.advance()
+    }
+  }
+
+  parseValue () {
+    const char = this.peek()
+    if (char === '"' || char === "'") {
+      return this.parseString()
+    }
+    if (char === '[') {
+      return this.parseArray()
+    }
+    if (char === '{') {
+      return this.parseInlineTable()
+    }
+
+    const match = this.text.slice(this.pos).match(/^[^\s,\]}#]+/)
+    if (!match) {
+      throw this.error('expected a value')
+    }
+    const token = match[0]
+    this.advance(token.length)
+    if (token === 'true' || token === 'false') {
+      return token === 'true'
+    }
+    const number = token.replace(/_/g, '')
+    if (/^[+-]?(0x[0-9a-f]+|0o[0-7]+|0b[01]+)$/i.test(number)) {
+      return Number(number.replace(/^\+/, ''))
+    }
+    if (/^[+-]?(\d+(\.\d+)?([eE][+-]?\d+)?|inf|nan)$/.test(number)) {
+      return number.endsWith('inf') ? (number[0] === '-' ? -Infinity : Infinity) : Number(number)
+    }
+    if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(token)) {
+      return token
+    }
+    throw this.error(`invalid value "${token}"`)
+  }
+
+  parseString () {
+    const quote = this.peek()
+    const multiline = this.startsWith(quote.repeat(3))
+    const delimiter = multiline ? quote.repeat(3) : quote
+    this.advance(delimiter.length)
+    // A newline right after the opening delimiter is trimmed
+    if (multiline && this.peek() === '\n') {
+      this.advance()
+    }
+
+    let value = ''
+    for (;;) {
+      if (this.pos >= this.text.length) {
+        throw this.error('unterminated string')
+      }
+      if (this.startsWith(delimiter)) {
+        this.advance(delimiter.length)
+        return value
+      }
+      const char = this.peek()
+      if (char === '\n' && !multiline) {
+        throw this.error('unterminated string')
+      }
+      if (char === '\\' && quote === '"') {
+        const next = this.peek(1)
+        if (multiline && /[ \t\n]/.test(next)) {
+          // Line-ending backslash: skip the newline and leading whitespace (a # here is content)
+          this.advance()
+          while (/[ \t\n]/.test(this.peek())) {
+            this.advance()
+          }
+          continue
+        }
+        if (next === 'u' || next === 'U') {
+          const length = next === 'u' ? 4 : 8
+          const hex = this.text.substr(this.pos + 2, length)
+          if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+            throw this.error('invalid unicode escape')
+          }
+          value += String.fromCodePoint(parseInt(hex, 16))
+          this.advance(2 + length)
+          continue
+        }
+        if (!Object.prototype.hasOwnProperty.call(ESCAPES, next)) {
+          throw this.error(`invalid escape "\\${next}"`)
+        }
+        value += ESCAPES[next]
+        this.advance(2)
+        continue
+      }
+      value += char
+      this.advance()
+    }
+  }
+
+  parseArray () {
+    this.advance()
+    const values = []
+    for (;;) {
+      this.skipWhitespace(true)
+      if (this.peek() === ']') {
+        this.advance()
+        return values
+      }
+      values.push(this.parseValue())
+      this.skipWhitespace(true)
+      if (this.peek() === ',') {
+        this.advance()
+      } else if (this.peek() !== ']') {
+        throw this.error('expected "," or "]"')
+      }
+    }
+  }
+
+  parseInlineTable () {
+    this.advance()
+    const table = Object.create(null)
+    this.skipWhitespace(false)
+    if (this.peek() === '}') {
+      this.advance()
+      return table
+    }
+    for (;;) {
+      this.parseKeyValue(table)
+      this.skipWhitespace(false)
+      if (this.peek() === '}') {
+        this.advance()
+        return table
+      }
+      if (this.peek() !== ',') {
+        throw this.error('expected "," or "}"')
+      }
+      this.advance()
+    }
+  }
+}
+
+/**
+ * Parse TOML text
+ *
+ * @param {string} text - TOML document
+ * @returns {Object} - Parsed tables and values
+ */
+function parse (text) {
+  return new TomlParser(text).parse()
+}
+
+module.exports = {
+  parse
+}
@@ -0,0 +1,192 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { EventEmitter } = require('events')
+const { findDependencies } = require('./dependencies')
+const { InvalidConfigError } = require('./errors')
+
+// Default delay between the last file change and the recompile
+const DEFAULT_DEBOUNCE_MS = 100
+
+/**
+ * Compile Watcher
+ * Recompiles a .tex file whenever it or one of the files it pulls in changes.
+ *
+ * Events:
+ * - 'compile-start' ({ file }) - A compile started; `file` is the changed file, or null for the initial compile
+ * - 'compile-success' (result) - A compile succeeded
+ * - 'compile-error' (resultOrError) - A compile failed, with the failed result or the Error thrown
+ * - 'close' () - The watcher was closed
+ *
+ * A change that arrives while a compile is in flight cancels that compile.
+ */
+class CompileWatcher extends EventEmitter {
+  /**
+   * @param {LatexCompiler} compiler - Compiler used for each run
+   * @param {Object} config - Compilation configuration (must include texFile)
+   * @param {number} [config.debounceMs] - Delay after the last change before recompiling (default: 100)
+   */
+  constructor (compiler, config) {
+    super()
+    config = config || {}
+    if (!config.texFile) {
+      throw new InvalidConfigError('watch() requires texFile', 'texFile')
+    }
+
+    this.compiler = compiler
+    this.texPath = path.resolve(config.texFile)
+    this.searchPath = (config.unstable && config.unstable.searchPath) || null
+    this.debounceMs = config.debounceMs !== undefined ? config.debounceMs : DEFAULT_DEBOUNCE_MS
+    this.compileConfig = Object.assign({}, config)
+    delete this.compileConfig.debounceMs
+
+    this.files = new Set()
+    this.directoryWatchers = new Map()
+    this.timer = null
+    this.controller = null
+    this.closed = false
+
+    this.updateWatchedFiles()
+    // Defer the initial compile so that listeners can be attached first
+    this.schedule(null, 0)
+  }
+
+  /**
+   * Stop watching and cancel any compile in flight
+   */
+  close () {
+    if (this.closed) {
+      return
+    }
+    this.closed = true
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    if (this.controller) {
+      this.controller.abort()
+      this.controller = null
+    }
+    for (const watcher of this.directoryWatchers.values()) {
+      watcher.close()
+    }
+    this.directoryWatchers.clear()
+    this.emit('close')
+  }
+
+  /**
+   * Get the files currently being watched
+   * @returns {string[]} - Absolute paths
+   */
+  getWatchedFiles () {
+    return Array.from(this.files)
+  }
+
+  /**
+   * Schedule a compile after the debounce delay, cancelling any compile in flight
+   * @private
+   */
+  schedule (changedFile, delay) {
+    if (this.closed) {
+      return
+    }
+    if (this.controller) {
+      this.controller.abort()
+      this.controller = null
+    }
+    if (this.timer) {
+      clearTimeout(this.timer)
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.run(changedFile)
+    }, delay)
+  }
+
+  /**
+   * Run one compile and report its outcome
+   * @private
+   */
+  async run (changedFile) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+    this.controller = controller
+    this.emit('compile-start', { file: changedFile })
+
+    let result
+    try {
+      const config = Object.assign({}, this.compileConfig)
+      if (controller) {
+        config.signal = controller.signal
+      }
+      result = await this.compiler.compile(config)
+    } catch (error) {
+      if (this.controller === controller && !this.closed) {
+        this.controller = null
+        this.emit('compile-error', error)
+      }
+      return
+    }
+
+    // A newer change superseded this compile
+    if (this.controller !== controller || this.closed) {
+      return
+    }
+    this.controller = null
+
+    // Inputs may have been added or removed by the edit
+    this.updateWatchedFiles()
+
+    if (result.status === 'success') {
+      this.emit('compile-success', result)
+    } else {
+      this.emit('compile-error', result)
+    }
+  }
+
+  /**
+   * Rescan dependencies and watch the directories that contain them
+   * Directories are watched rather than files so that editors that save by
+   * replacing the file are still picked up
+   * @private
+   */
+  updateWatchedFiles () {
+    this.files = new Set([this.texPath].concat(findDependencies(this.texPath, { searchPath: this.searchPath })))
+
+    const directories = new Set()
+    for (const file of this.files) {
+      directories.add(path.dirname(file))
+    }
+
+    for (const [directory, watcher] of this.directoryWatchers) {
+      if (!directories.has(directory)) {
+        watcher.close()
+        this.directoryWatchers.delete(directory)
+      }
+    }
+
+    for (const directory of directories) {
+      if (this.directoryWatchers.has(directory)) {
+        continue
+      }
+      try {
+        const watcher = fs.watch(directory, (eventType, filename) => {
+          // Some platforms do not report the file name; treat it as a change to the main file
+          const changedFile = filename ? path.join(directory, filename.toString()) : this.texPath
+          if (this.files.has(changedFile)) {
+            this.schedule(changedFile, this.debounceMs)
+          }
+        })
+        watcher.on('error', () => {
+          watcher.close()
+          this.directoryWatchers.delete(directory)
+        })
+        this.directoryWatchers.set(directory, watcher)
+      } catch (e) {
+        // Directory vanished between the scan and the watch
+      }
+    }
+  }
+}
+
+module.exports = CompileWatcher
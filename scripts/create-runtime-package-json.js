@@ -5,19 +5,45 @@
  * Create package.json for runtime package
  * 
  * Usage:
- *   node scripts/create-runtime-package-json.js <platform> <arch> <version> [output-dir]
+ *   node scripts/create-runtime-package-json.js <platform> <arch> <version> [output-dir] [--libc <glibc|musl>]
+ *
+ * Linux packages are built for glibc unless --libc musl is given; musl
+ * packages are named with a -musl suffix (e.g. bin-linux-x64-musl). Packages
+ * that serve both (bin-linux-arm64, a static build) get no libc restriction.
  */
 
 const fs = require('fs')
 const path = require('path')
+const { getRuntimePackageName } = require('../lib/platform-resolver')
+
+const USAGE = 'Usage: node scripts/create-runtime-package-json.js <platform> <arch> <version> [output-dir] [--libc <glibc|musl>]'
+
+// Separate --libc from the positional arguments
+const args = []
+let LIBC = 'glibc'
+for (let i = 2; i < process.argv.length; i++) {
+  const arg = process.argv[i]
+  if (arg === '--libc') {
+    LIBC = process.argv[++i]
+  } else if (arg.startsWith('--libc=')) {
+    LIBC = arg.slice('--libc='.length)
+  } else {
+    args.push(arg)
+  }
+}
 
-const PLATFORM = process.argv[2]
-const ARCH = process.argv[3]
-const VERSION = process.argv[4]
-const OUTPUT_DIR = process.argv[5] || path.join(__dirname, '..', 'runtimes', '@node-latex-compiler', 'bin-' + PLATFORM + '-' + ARCH)
+const PLATFORM = args[0]
+const ARCH = args[1]
+const VERSION = args[2]
 
 if (!PLATFORM || !ARCH || !VERSION) {
-  console.error('Usage: node scripts/create-runtime-package-json.js <platform> <arch> <version> [output-dir]')
+  console.error(USAGE)
+  process.exit(1)
+}
+
+if (LIBC !== 'glibc' && LIBC !== 'musl') {
+  console.error(`❌ Error: Invalid libc: ${JSON.stringify(LIBC)} (expected glibc or musl)`)
+  console.error(USAGE)
   process.exit(1)
 }
 
@@ -62,7 +88,19 @@ if (ARCH === 'x86_64' || ARCH === 'amd64') {
   normalizedArch = 'arm64'
 }
 
-const packageName = '@node-latex-compiler/bin-' + normalizedPlatform + '-' + normalizedArch
+if (LIBC === 'musl' && normalizedPlatform !== 'linux') {
+  console.error(`❌ Error: --libc musl only applies to linux (got ${normalizedPlatform})`)
+  process.exit(1)
+}
+
+// Only generate packages the resolver knows how to find
+const packageName = getRuntimePackageName(normalizedPlatform, normalizedArch, LIBC)
+if (!packageName) {
+  console.error(`❌ Error: Unsupported runtime package: ${normalizedPlatform} ${normalizedArch}${normalizedPlatform === 'linux' ? ' ' + LIBC : ''}`)
+  process.exit(1)
+}
+const packageDir = packageName.split('/')[1]
+const OUTPUT_DIR = args[3] || path.join(__dirname, '..', 'runtimes', '@node-latex-compiler', packageDir)
 
 // Ensure version is a valid string (not empty, not null, not undefined)
 if (!cleanVersion || typeof cleanVersion !== 'string' || cleanVersion.length === 0) {
@@ -72,10 +110,13 @@ if (!cleanVersion || typeof cleanVersion !== 'string' || cleanVersion.length ===
   process.exit(1)
 }
 
+// A static build serves glibc and musl alike and is not restricted to either
+const servesBothLibcs = getRuntimePackageName('linux', normalizedArch, 'glibc') === getRuntimePackageName('linux', normalizedArch, 'musl')
+
 const packageJson = {
   name: packageName,
   version: cleanVersion,  // Must be a valid semver string
-  description: 'Tectonic binary for node-latex-compiler on ' + normalizedPlatform + ' ' + normalizedArch,
+  description: 'Tectonic binary for node-latex-compiler on ' + normalizedPlatform + ' ' + normalizedArch + (normalizedPlatform === 'linux' && !servesBothLibcs ? ' (' + LIBC + ')' : ''),
   os: [normalizedPlatform],
   cpu: [normalizedArch],
   keywords: [
@@ -91,12 +132,17 @@ const packageJson = {
   repository: {
     type: 'git',
     url: 'https://github.com/JaredYe04/node-latex-compiler.git',
-    directory: 'runtimes/@node-latex-compiler/bin-' + normalizedPlatform + '-' + normalizedArch
+    directory: 'runtimes/@node-latex-compiler/' + packageDir
   },
   license: 'MIT',
   author: ''
 }
 
+// Keep npm from installing a glibc binary on musl systems and vice versa
+if (normalizedPlatform === 'linux' && !servesBothLibcs) {
+  packageJson.libc = [LIBC]
+}
+
 // Final validation: ensure version field is set correctly
 if (!packageJson.version || packageJson.version.length === 0) {
   console.error('❌ Error: Version field is empty in package.json object')
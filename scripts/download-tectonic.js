@@ -11,6 +11,7 @@ const path = require('path')
 const os = require('os')
 const https = require('https')
 const { execSync } = require('child_process')
+const { detectLibc } = require('../lib/platform-resolver')
 
 const PLATFORM = os.platform()
 const ARCH = os.arch()
@@ -112,11 +113,16 @@ function parseAssetInfo (filename) {
 /**
  * Get current platform requirements
  * Allows override via environment variables for CI/CD
+ * (FORCE_PLATFORM, FORCE_ARCH and, for Linux, FORCE_LIBC=glibc|musl)
  */
 function getCurrentPlatformRequirements () {
   // Allow override via environment variables (for CI/CD)
   const platform = process.env.FORCE_PLATFORM || PLATFORM
   let arch = process.env.FORCE_ARCH || ARCH
+  let libc = null
+  if (platform === 'linux') {
+    libc = process.env.FORCE_LIBC || (PLATFORM === 'linux' ? detectLibc() : 'glibc')
+  }
   
   // Normalize arch
   if (arch === 'x64' || arch === 'amd64') {
@@ -128,24 +134,39 @@ function getCurrentPlatformRequirements () {
   }
   
   // Log if overridden
-  if (process.env.FORCE_PLATFORM || process.env.FORCE_ARCH) {
-    console.log(`⚠️  Using forced platform/arch: ${platform} ${arch} (detected: ${PLATFORM} ${ARCH})`)
+  if (process.env.FORCE_PLATFORM || process.env.FORCE_ARCH || process.env.FORCE_LIBC) {
+    console.log(`⚠️  Using forced platform/arch: ${platform} ${arch}${libc ? ' ' + libc : ''} (detected: ${PLATFORM} ${ARCH})`)
   }
   
-  return { platform, arch }
+  return { platform, arch, libc }
+}
+
+/**
+ * Bin directory name for the requirements, e.g. linux-x64 or linux-x64-musl
+ * (the same names the platform resolver looks for)
+ */
+function getBinDirName (requirements) {
+  return `${requirements.platform}-${requirements.arch}${requirements.libc === 'musl' ? '-musl' : ''}`
 }
 
 /**
  * Match asset to current platform
  * Priority for Windows: msvc > gnu
- * Priority for Linux: gnu > musl
+ * Priority for Linux: gnu > musl (musl only on musl systems)
+ * Windows on ARM falls back to x64 builds, which it runs under emulation
  */
 function matchAsset (assetInfo, requirements) {
   if (assetInfo.platform !== requirements.platform) {
     return false
   }
   
-  if (assetInfo.arch !== requirements.arch) {
+  if (assetInfo.arch !== requirements.arch &&
+    !(requirements.platform === 'win32' && requirements.arch === 'arm64' && assetInfo.arch === 'x64')) {
+    return false
+  }
+  
+  // glibc builds need a glibc system
+  if (requirements.libc === 'musl' && assetInfo.toolchain !== 'musl') {
     return false
   }
   
@@ -162,6 +183,11 @@ function scoreAsset (assetInfo, requirements) {
   
   let score = 100
   
+  // Prefer native builds over emulated ones
+  if (assetInfo.arch === requirements.arch) {
+    score += 50
+  }
+  
   // Windows: prefer msvc over gnu (more reliable, no runtime dependencies)
   if (requirements.platform === 'win32') {
     if (assetInfo.toolchain === 'msvc') {
@@ -432,7 +458,7 @@ async function main () {
     
     // Get current platform requirements
     const requirements = getCurrentPlatformRequirements()
-    console.log(`Looking for: ${requirements.platform} ${requirements.arch}`)
+    console.log(`Looking for: ${requirements.platform} ${requirements.arch}${requirements.libc ? ' ' + requirements.libc : ''}`)
     
     // Score and sort assets
     const scoredAssets = assetInfos
@@ -456,7 +482,7 @@ async function main () {
     const tempDir = path.join(__dirname, '..', 'temp-download')
     const archivePath = path.join(tempDir, selected.filename)
     const extractDir = path.join(tempDir, 'extracted')
-    const binDir = path.join(__dirname, '..', 'bin', `${requirements.platform}-${requirements.arch}`)
+    const binDir = path.join(__dirname, '..', 'bin', getBinDirName(requirements))
     
     console.log(`Binary will be installed to: ${binDir}`)
     
@@ -9,7 +9,15 @@
 const fs = require('fs')
 const path = require('path')
 const os = require('os')
-const { createCompiler, compile } = require('../index')
+const {
+  createCompiler, createCompilerPool, createCompileCache, createServer, compile, compileStream, synctex, latex, escapeLatex, raw,
+  diagnose, formatDiagnosis, registerResolver, unregisterResolver, resolveTectonicExecutableAsync, invalidate,
+  LatexCompilerError, TectonicNotFoundError, InputNotFoundError, InvalidConfigError, QueueFullError, CompilationError, platformResolver
+} = require('../index')
+const { parseDiagnostics } = require('../lib/diagnostics')
+const { checkSandboxPolicy } = require('../lib/sandbox')
+const { parseCommandLine, readInvocations } = require('../lib/shell-escape')
+const toml = require('../lib/toml')
 
 const TEST_TEX = `\\documentclass{article}
 \\begin{document}
@@ -134,65 +142,1467 @@ async function testBufferOutput () {
   }
 }
 
+async function testStreaming () {
+  console.log('\n🌊 Test: Buffer input and streaming compile')
+  const { Readable } = require('stream')
+  
+  const readAll = (stream) => new Promise((resolve, reject) => {
+    const chunks = []
+    let result = null
+    stream.on('result', (r) => { result = r })
+    stream.on('data', (chunk) => chunks.push(chunk))
+    stream.on('end', () => resolve({ pdf: Buffer.concat(chunks), result }))
+    stream.on('error', reject)
+  })
+  
+  try {
+    const result = await compile({ texBuffer: Buffer.from(TEST_TEX, 'utf-8'), returnBuffer: true })
+    if (result.status !== 'success' || result.pdfBuffer.slice(0, 4).toString() !== '%PDF') {
+      console.log(`❌ texBuffer compilation failed:`, result.error)
+      return false
+    }
+    
+    // Source arrives in several chunks, as from an HTTP request or another process
+    const lines = TEST_TEX.split('\n').map(line => Buffer.from(line + '\n', 'utf-8'))
+    const { pdf, result: streamResult } = await readAll(compileStream(Readable.from(lines)))
+    if (pdf.slice(0, 4).toString() !== '%PDF') {
+      console.log(`❌ Streamed output is not a PDF`)
+      return false
+    }
+    if (!streamResult || streamResult.status !== 'success') {
+      console.log(`❌ 'result' event missing before the PDF data`)
+      return false
+    }
+    
+    try {
+      await readAll(compileStream(Readable.from([TEST_TEX_ERROR])))
+      console.log(`❌ Expected the stream to fail for invalid LaTeX`)
+      return false
+    } catch (error) {
+      if (!error.result || error.result.status !== 'failed') {
+        console.log(`❌ Stream error does not carry the compile result:`, error.message)
+        return false
+      }
+    }
+    
+    console.log(`✅ texBuffer input and compileStream() work`)
+    console.log(`   Streamed PDF size: ${pdf.length} bytes`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
 async function testStdoutStderr () {
   console.log('\n📊 Test 4: Test stdout/stderr callbacks')
   
-  let stdoutReceived = false
-  let stderrReceived = false
+  let stdoutReceived = false
+  let stderrReceived = false
+  
+  try {
+    const result = await compile({
+      tex: TEST_TEX,
+      returnBuffer: true,
+      onStdout: (data) => {
+        stdoutReceived = true
+        console.log(`   [stdout] ${data.trim()}`)
+      },
+      onStderr: (data) => {
+        stderrReceived = true
+        console.log(`   [stderr] ${data.trim()}`)
+      }
+    })
+    
+    if (result.status === 'success') {
+      console.log(`✅ Callbacks working`)
+      console.log(`   stdout received: ${stdoutReceived}`)
+      console.log(`   stderr received: ${stderrReceived}`)
+      return true
+    } else {
+      console.log(`❌ Compilation failed`)
+      return false
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testProgressEvents () {
+  console.log('\n📶 Test: Progress events')
+  
+  const tex = '\\documentclass{article}\n\\usepackage{amsmath}\n\\begin{document}\nSee \\cite{knuth}.\n' +
+    '\\bibliographystyle{plain}\n\\bibliography{refs}\n\\end{document}'
+  const bib = '@book{knuth, author = {Donald E. Knuth}, title = {The TeXbook}, publisher = {Addison-Wesley}, year = {1984}}\n'
+  
+  try {
+    const compiler = createCompiler()
+    const events = compiler.compileWithEvents({ tex, files: { 'refs.bib': bib }, returnBuffer: true })
+    const stages = []
+    const result = await new Promise((resolve, reject) => {
+      events.on('progress', event => stages.push(event))
+      events.on('result', resolve)
+      events.on('error', reject)
+    })
+    
+    if (result.status !== 'success') {
+      console.log(`❌ Compilation failed:`, result.error)
+      return false
+    }
+    const passes = stages.filter(e => e.stage === 'tex-pass')
+    if (passes.length === 0 || passes[0].pass !== 1) {
+      console.log(`❌ Missing tex-pass events:`, stages)
+      return false
+    }
+    if (!stages.some(e => e.stage === 'xdvipdfmx')) {
+      console.log(`❌ Missing xdvipdfmx event:`, stages)
+      return false
+    }
+    const last = stages[stages.length - 1]
+    if (last.stage !== 'done' || last.status !== 'success') {
+      console.log(`❌ Expected a final done event:`, last)
+      return false
+    }
+    
+    // onProgress reports the same stages for a failing compile, ending with done
+    const failedStages = []
+    const failed = await compile({ tex: TEST_TEX_ERROR, returnBuffer: true, onProgress: event => failedStages.push(event) })
+    const failedLast = failedStages[failedStages.length - 1]
+    if (failed.status !== 'failed' || !failedLast || failedLast.stage !== 'done' || failedLast.status !== 'failed') {
+      console.log(`❌ onProgress did not end with done for a failed compile:`, failedStages)
+      return false
+    }
+    
+    // ... and for a compile that throws
+    const thrownStages = []
+    try {
+      await compile({ texFile: path.join(__dirname, 'no-such-file.tex'), onProgress: event => thrownStages.push(event) })
+      console.log(`❌ Expected a missing texFile to throw`)
+      return false
+    } catch (error) {
+      // Expected
+    }
+    const thrownLast = thrownStages[thrownStages.length - 1]
+    if (!thrownLast || thrownLast.stage !== 'done' || thrownLast.status !== 'failed') {
+      console.log(`❌ onProgress did not end with done for a compile that threw:`, thrownStages)
+      return false
+    }
+    
+    console.log(`✅ Progress events reported`)
+    console.log(`   Stages: ${stages.map(e => e.stage + (e.pass ? ` ${e.pass}` : '') + (e.package ? ` ${e.package}` : '')).join(', ')}`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testErrorHandling () {
+  console.log('\n⚠️  Test 5: Error handling')
+  
+  try {
+    const result = await compile({
+      tex: TEST_TEX_ERROR,
+      returnBuffer: true
+    })
+    
+    if (result.status === 'failed') {
+      console.log(`✅ Error handling works`)
+      console.log(`   Exit code: ${result.exitCode}`)
+      if (result.stderr) {
+        console.log(`   Error output captured: ${result.stderr.length} chars`)
+      }
+      return true
+    } else {
+      console.log(`❌ Expected failure but got success`)
+      return false
+    }
+  } catch (error) {
+    console.log(`✅ Error caught: ${error.message}`)
+    return true
+  }
+}
+
+async function testErrorCodes () {
+  console.log('\n🏷️  Test: Typed errors and errorMode')
+  
+  const expectThrow = async (config, ErrorClass, code, option) => {
+    try {
+      await compile(config)
+    } catch (error) {
+      if (!(error instanceof ErrorClass) || !(error instanceof LatexCompilerError) || error.code !== code) {
+        console.log(`❌ Expected ${ErrorClass.name} (${code}), got ${error.name} (${error.code}): ${error.message}`)
+        return false
+      }
+      if (option !== undefined && error.option !== option) {
+        console.log(`❌ Expected option ${option}, got ${error.option}`)
+        return false
+      }
+      return true
+    }
+    console.log(`❌ Expected ${ErrorClass.name} to be thrown`)
+    return false
+  }
+  
+  try {
+    const missingFile = path.join(__dirname, 'no-such-file.tex')
+    if (
+      !await expectThrow({}, InvalidConfigError, 'INVALID_CONFIG', 'tex') ||
+      !await expectThrow({ tex: TEST_TEX, timeoutMs: -1 }, InvalidConfigError, 'INVALID_CONFIG', 'timeoutMs') ||
+      !await expectThrow({ tex: TEST_TEX, unstable: { bogus: true } }, InvalidConfigError, 'INVALID_CONFIG', 'unstable.bogus') ||
+      !await expectThrow({ texFile: missingFile }, InputNotFoundError, 'INPUT_NOT_FOUND', 'texFile') ||
+      !await expectThrow({ tex: TEST_TEX_ERROR, errorMode: 'throw' }, CompilationError, 'COMPILATION_FAILED')
+    ) {
+      return false
+    }
+    
+    // Failed compiles carry a code in every mode
+    const failed = await compile({ tex: TEST_TEX_ERROR, returnBuffer: true })
+    if (failed.status !== 'failed' || failed.code !== 'COMPILATION_FAILED') {
+      console.log(`❌ Expected code COMPILATION_FAILED on the failed result:`, failed.code)
+      return false
+    }
+    
+    try {
+      await compile({ tex: TEST_TEX_ERROR, returnBuffer: true, errorMode: 'throw' })
+    } catch (error) {
+      if (error.result.status !== 'failed' || error.diagnostics.length === 0) {
+        console.log(`❌ CompilationError is missing the result or diagnostics`)
+        return false
+      }
+    }
+    
+    // errorMode: 'resolve' turns thrown errors into failed results
+    const resolved = await createCompiler({ errorMode: 'resolve' }).compile({ texFile: missingFile })
+    if (resolved.status !== 'failed' || resolved.code !== 'INPUT_NOT_FOUND' || !resolved.error.includes('no-such-file.tex')) {
+      console.log(`❌ Expected a resolved INPUT_NOT_FOUND failure:`, resolved)
+      return false
+    }
+    
+    console.log(`✅ Errors are typed and errorMode is honored`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testDiagnostics () {
+  console.log('\n🩺 Test: Structured diagnostics')
+  
+  try {
+    const result = await compile({
+      tex: TEST_TEX_ERROR,
+      returnBuffer: true
+    })
+    
+    const error = (result.diagnostics || []).find(d => d.severity === 'error' && d.line === 3)
+    if (!error) {
+      console.log(`❌ No error diagnostic for line 3:`, result.diagnostics)
+      return false
+    }
+    if (error.file !== '<input>') {
+      console.log(`❌ Expected file "<input>" but got "${error.file}"`)
+      return false
+    }
+    if (!error.context || !error.context.includes('\\invalidcommand')) {
+      console.log(`❌ Missing code frame:`, error.context)
+      return false
+    }
+    console.log(`✅ Diagnostics parsed`)
+    console.log(`   ${error.file}:${error.line}: ${error.message}`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testDiagnosticsParsing () {
+  console.log('\n🩺 Test: Diagnostics file attribution and source reads')
+  
+  const baseDir = path.join(__dirname, '..', 'test-output', 'diagnostics')
+  fs.mkdirSync(baseDir, { recursive: true })
+  fs.writeFileSync(path.join(baseDir, 'chapter.tex'), 'one\ntwo \\bad\nthree\n')
+  
+  // A document can print lines that look like Tectonic errors naming any file
+  const leaked = parseDiagnostics('error: /etc/passwd:1: x\nerror: ../../package.json:2: y', { baseDir })
+  if (leaked.some(d => d.context !== null)) {
+    console.log(`❌ Read a file outside baseDir:`, leaked)
+    return false
+  }
+  
+  const output = [
+    '(./main.tex (/usr/share/texmf/article.cls) (see below) (./chapter.tex',
+    '! Undefined control sequence.',
+    'l.2 two \\bad',
+    ')',
+    '! Missing $ inserted.',
+    'l.7 x'
+  ].join('\n')
+  const [inChapter, inMain] = parseDiagnostics(output, { mainFile: 'main.tex', baseDir })
+  if (!inChapter || inChapter.file !== 'chapter.tex' || !inChapter.context || !inChapter.context.includes('two \\bad')) {
+    console.log(`❌ Error in \\input file not attributed to it:`, inChapter)
+    return false
+  }
+  if (!inMain || inMain.file !== 'main.tex' || inMain.line !== 7) {
+    console.log(`❌ Error after the file was closed not attributed to main.tex:`, inMain)
+    return false
+  }
+  
+  console.log(`✅ Errors follow the open-file stack and sources outside baseDir are not read`)
+  return true
+}
+
+async function testInMemoryFiles () {
+  console.log('\n🗂️  Test: In-memory multi-file project')
+  
+  const tex = `\\documentclass{article}
+\\begin{document}
+\\input{chapters/intro}
+\\end{document}`
+  
+  try {
+    const result = await compile({
+      tex: tex,
+      files: {
+        'chapters/intro.tex': 'Hello from an included file.',
+        'data.bin': Buffer.from([0, 1, 2, 3])
+      },
+      returnBuffer: true
+    })
+    
+    if (result.status !== 'success' || !result.pdfBuffer) {
+      console.log(`❌ Compilation failed:`, result)
+      return false
+    }
+    console.log(`✅ Multi-file compilation successful`)
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+  
+  for (const badPath of ['../escape.tex', '/etc/escape.tex', 'a/../../escape.tex']) {
+    try {
+      await compile({ tex: tex, files: { [badPath]: 'x' }, returnBuffer: true })
+      console.log(`❌ Expected "${badPath}" to be rejected`)
+      return false
+    } catch (error) {
+      // Expected
+    }
+  }
+  console.log(`   ✅ Paths escaping the workspace are rejected`)
+  return true
+}
+
+async function testLatexEscaping () {
+  console.log('\n🧾 Test: latex template escaping')
+  
+  const customer = 'Smith & Sons_Ltd #1 {50% off} \\ ~^ $5 <a|b> [x] --'
+  const expected = 'Smith \\& Sons\\_Ltd \\#1 \\{50\\% off\\} \\textbackslash{} \\textasciitilde{}\\textasciicircum{} \\$5 ' +
+    '\\textless{}a\\textbar{}b\\textgreater{} {[}x{]} {-}{-}'
+  if (escapeLatex(customer) !== expected) {
+    console.log(`❌ Unexpected escaping: ${escapeLatex(customer)}`)
+    return false
+  }
+  
+  // Blank lines in a value must not end the paragraph
+  const address = 'Line 1\n\nLine 2\r\nLine 3'
+  if (escapeLatex(address) !== 'Line 1 Line 2 Line 3') {
+    console.log(`❌ Line breaks not replaced: ${JSON.stringify(escapeLatex(address))}`)
+    return false
+  }
+  
+  const items = ['Widget & Co', 'Müller – Größe 10%']
+  const tex = latex`\documentclass{article}
+\begin{document}
+Invoice for ${customer}${null}
+\begin{itemize}
+${items.map(item => latex`\item ${item}
+`)}\end{itemize}
+${raw('\\textbf{Total:}')} ${42}
+\end{document}`
+  
+  const source = String(tex)
+  if (!source.includes('\\item Widget \\& Co\n\\item Müller – Größe 10\\%\n') || !source.includes('\\textbf{Total:} 42')) {
+    console.log(`❌ Unexpected template output:\n${source}`)
+    return false
+  }
+  
+  console.log(`✅ Interpolated values escaped`)
+  return true
+}
+
+async function testLatexTemplate () {
+  console.log('\n🧾 Test: latex template compiles')
+  
+  const tex = latex`\documentclass{article}
+\begin{document}
+Invoice for ${'Smith & Sons_Ltd #1 {50% off}'}
+\end{document}`
+  
+  try {
+    const result = await compile({ tex, returnBuffer: true })
+    if (result.status !== 'success') {
+      console.log(`❌ Compilation failed:`, result.error, result.diagnostics)
+      return false
+    }
+    console.log(`✅ Template compiled`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testConcurrentIsolation () {
+  console.log('\n🔀 Test: Concurrent compiles use isolated workspaces')
+  
+  const testDir = path.join(__dirname, '..', 'test-output', 'concurrent')
+  const dirA = path.join(testDir, 'a')
+  const dirB = path.join(testDir, 'b')
+  fs.mkdirSync(dirA, { recursive: true })
+  fs.mkdirSync(dirB, { recursive: true })
+  
+  const texA = path.join(dirA, 'report.tex')
+  const texB = path.join(dirB, 'report.tex')
+  fs.writeFileSync(texA, TEST_TEX, 'utf-8')
+  fs.writeFileSync(texB, TEST_TEX.replace('Hello, World!', 'A different report with more text.'), 'utf-8')
+  
+  try {
+    const results = await Promise.all([
+      compile({ texFile: texA, returnBuffer: true }),
+      compile({ texFile: texB, returnBuffer: true }),
+      compile({ tex: TEST_TEX, returnBuffer: true }),
+      compile({ tex: TEST_TEX, returnBuffer: true })
+    ])
+    
+    const failed = results.filter(r => r.status !== 'success' || !r.pdfBuffer)
+    if (failed.length > 0) {
+      console.log(`❌ ${failed.length} concurrent compilation(s) failed:`, failed[0])
+      return false
+    }
+    if (results[0].pdfBuffer.equals(results[1].pdfBuffer)) {
+      console.log(`❌ Both report.tex compiles returned the same PDF`)
+      return false
+    }
+    
+    const tempDir = path.join(__dirname, '..', '__latex_compile_temp__')
+    const leftovers = fs.existsSync(tempDir)
+      ? fs.readdirSync(tempDir).filter(name => name.startsWith('job-'))
+      : []
+    if (leftovers.length > 0) {
+      console.log(`❌ Job workspaces were not cleaned up: ${leftovers.join(', ')}`)
+      return false
+    }
+    
+    console.log(`✅ Concurrent compilations isolated`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testTimeoutAndAbort () {
+  console.log('\n⏱️  Test: Timeout and abort')
+  
+  // An infinite loop never finishes on its own
+  const TEST_TEX_LOOP = `\\documentclass{article}
+\\begin{document}
+\\def\\x{\\x}\\x
+\\end{document}`
+  
+  try {
+    const started = Date.now()
+    const timedOut = await compile({
+      tex: TEST_TEX_LOOP,
+      returnBuffer: true,
+      timeoutMs: 1000
+    })
+    if (timedOut.status !== 'timeout') {
+      console.log(`❌ Expected status "timeout" but got "${timedOut.status}"`)
+      return false
+    }
+    console.log(`✅ Timed out after ${Date.now() - started}ms`)
+    
+    if (typeof AbortController === 'undefined') {
+      console.log('   ⏭️  AbortController not available, skipping abort check')
+      return true
+    }
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 500)
+    const aborted = await compile({
+      tex: TEST_TEX_LOOP,
+      returnBuffer: true,
+      signal: controller.signal
+    })
+    if (aborted.status !== 'aborted') {
+      console.log(`❌ Expected status "aborted" but got "${aborted.status}"`)
+      return false
+    }
+    console.log(`✅ Aborted via AbortSignal`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testCompilerPool () {
+  console.log('\n🏊 Test: Compiler pool')
+  
+  const pool = createCompilerPool({ maxConcurrent: 1, maxQueue: 2 })
+  const order = []
+  
+  try {
+    const first = pool.compile({ tex: TEST_TEX, returnBuffer: true }).then((r) => { order.push('first'); return r })
+    const batch = pool.compile({ tex: TEST_TEX, returnBuffer: true }).then((r) => { order.push('batch'); return r })
+    const interactive = pool.compile({ tex: TEST_TEX, returnBuffer: true }, { priority: 10 }).then((r) => { order.push('interactive'); return r })
+    
+    const stats = pool.stats()
+    if (stats.running !== 1 || stats.queued !== 2) {
+      console.log(`❌ Unexpected stats:`, stats)
+      return false
+    }
+    
+    let queueFull = false
+    try {
+      await pool.compile({ tex: TEST_TEX, returnBuffer: true })
+    } catch (error) {
+      queueFull = error instanceof QueueFullError && error.code === 'QUEUE_FULL' && error.maxQueue === 2
+    }
+    if (!queueFull) {
+      console.log(`❌ Expected a QueueFullError`)
+      return false
+    }
+    
+    const results = await Promise.all([first, batch, interactive])
+    if (results.some(r => r.status !== 'success')) {
+      console.log(`❌ Pool compilation failed`)
+      return false
+    }
+    if (order.join(',') !== 'first,interactive,batch') {
+      console.log(`❌ Unexpected run order: ${order.join(', ')}`)
+      return false
+    }
+    
+    // Jobs aborted while queued settle like aborted compiles
+    const running = pool.compile({ tex: TEST_TEX, returnBuffer: true })
+    const controller = new AbortController()
+    const queued = pool.compile({ tex: TEST_TEX, returnBuffer: true, signal: controller.signal })
+    const throwing = new AbortController()
+    const queuedThrow = pool.compile({ tex: TEST_TEX, returnBuffer: true, signal: throwing.signal, errorMode: 'throw' })
+      .then(() => null, error => error)
+    controller.abort()
+    throwing.abort()
+    const aborted = await queued
+    if (aborted.status !== 'aborted' || aborted.code !== 'COMPILATION_ABORTED' || !Array.isArray(aborted.diagnostics)) {
+      console.log(`❌ Unexpected result for a job aborted while queued:`, aborted)
+      return false
+    }
+    const abortError = await queuedThrow
+    if (!(abortError instanceof CompilationError) || abortError.code !== 'COMPILATION_ABORTED') {
+      console.log(`❌ Expected a CompilationError for a queued job aborted with errorMode 'throw':`, abortError)
+      return false
+    }
+    await running
+    
+    for (const priority of ['10', NaN, Infinity]) {
+      const error = await pool.compile({ tex: TEST_TEX, returnBuffer: true }, { priority }).then(() => null, e => e)
+      if (!(error instanceof InvalidConfigError) || error.option !== 'priority') {
+        console.log(`❌ Expected priority ${priority} to be rejected:`, error)
+        return false
+      }
+    }
+    
+    console.log(`✅ Pool limits concurrency and honors priority`)
+    console.log(`   Stats: ${JSON.stringify(pool.stats())}`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testCompileCache () {
+  console.log('\n🗃️  Test: Compile cache')
+  
+  const cacheDir = path.join(__dirname, '..', 'test-output', 'cache')
+  if (fs.existsSync(cacheDir)) {
+    fs.rmSync(cacheDir, { recursive: true, force: true })
+  }
+  
+  try {
+    const cache = createCompileCache({ maxEntries: 10, dir: cacheDir })
+    const compiler = createCompiler({ cache })
+    
+    const first = await compiler.compile({ tex: TEST_TEX, returnBuffer: true })
+    const second = await compiler.compile({ tex: TEST_TEX, returnBuffer: true })
+    const changed = await compiler.compile({ tex: TEST_TEX_SIMPLE, returnBuffer: true })
+    
+    if (first.status !== 'success' || first.fromCache) {
+      console.log(`❌ First compile should run Tectonic:`, first)
+      return false
+    }
+    if (!second.fromCache || !second.pdfBuffer.equals(first.pdfBuffer) || !second.artifacts.pdf.buffer.equals(first.pdfBuffer)) {
+      console.log(`❌ Second compile should be served from cache`)
+      return false
+    }
+    const cachedFile = await compiler.compile({ tex: TEST_TEX, outputFile: path.join(cacheDir, '..', 'cache-hit.pdf') })
+    if (!cachedFile.fromCache || cachedFile.artifacts.pdf.path !== cachedFile.pdfPath) {
+      console.log(`❌ Cached file output should report artifacts.pdf:`, cachedFile)
+      return false
+    }
+    if (changed.fromCache) {
+      console.log(`❌ Changed source should not hit the cache`)
+      return false
+    }
+    
+    // A fresh cache over the same directory hits the disk tier
+    const diskCompiler = createCompiler({ cache: createCompileCache({ maxEntries: 0, dir: cacheDir }) })
+    const fromDisk = await diskCompiler.compile({ tex: TEST_TEX, returnBuffer: true })
+    if (!fromDisk.fromCache) {
+      console.log(`❌ Expected a hit from the disk tier`)
+      return false
+    }
+    
+    const size = cache.size()
+    if (size.memory.entries !== 2 || size.disk.entries !== 2) {
+      console.log(`❌ Unexpected cache size:`, size)
+      return false
+    }
+    cache.prune({ maxEntries: 1 })
+    if (cache.size().memory.entries !== 1 || cache.size().disk.entries !== 1) {
+      console.log(`❌ Prune did not remove entries:`, cache.size())
+      return false
+    }
+    
+    // Editing a file pulled in without braces changes the key
+    const projectDir = path.join(cacheDir, '..', 'cache-project')
+    fs.mkdirSync(projectDir, { recursive: true })
+    const mainFile = path.join(projectDir, 'main.tex')
+    fs.writeFileSync(mainFile, '\\documentclass{article}\n\\begin{document}\n\\input chapter\n\\end{document}')
+    fs.writeFileSync(path.join(projectDir, 'chapter.tex'), 'First version.')
+    const projectCompiler = createCompiler({ cache: createCompileCache() })
+    await projectCompiler.compile({ texFile: mainFile, returnBuffer: true })
+    fs.writeFileSync(path.join(projectDir, 'chapter.tex'), 'Second version.')
+    const edited = await projectCompiler.compile({ texFile: mainFile, returnBuffer: true })
+    if (edited.status !== 'success' || edited.fromCache) {
+      console.log(`❌ Edited \\input file should not hit the cache:`, edited.status, edited.fromCache)
+      return false
+    }
+    
+    // Inputs named through macros can't be listed, so they are never cached
+    fs.writeFileSync(mainFile, '\\documentclass{article}\n\\begin{document}\n\\input{\\jobname-data}\n\\end{document}')
+    await projectCompiler.compile({ texFile: mainFile, returnBuffer: true })
+    const unlisted = await projectCompiler.compile({ texFile: mainFile, returnBuffer: true })
+    if (unlisted.fromCache) {
+      console.log(`❌ A document with macro-named inputs should not be cached`)
+      return false
+    }
+    
+    console.log(`✅ Cache hits skip Tectonic and can be pruned`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testWatchMode () {
+  console.log('\n👀 Test: Watch mode')
+  
+  const watchDir = path.join(__dirname, '..', 'test-output', 'watch')
+  fs.mkdirSync(watchDir, { recursive: true })
+  const mainFile = path.join(watchDir, 'main.tex')
+  const chapterFile = path.join(watchDir, 'chapter.tex')
+  const appendixFile = path.join(watchDir, 'appendix.tex')
+  fs.writeFileSync(mainFile, `\\documentclass{article}
+\\begin{document}
+\\input{chapter}
+\\input appendix
+\\end{document}`, 'utf-8')
+  fs.writeFileSync(chapterFile, 'First version.', 'utf-8')
+  fs.writeFileSync(appendixFile, 'First appendix.', 'utf-8')
+  
+  const watcher = createCompiler().watch({ texFile: mainFile, returnBuffer: true, debounceMs: 50 })
+  const waitFor = (event) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 10000)
+    watcher.once(event, (payload) => {
+      clearTimeout(timer)
+      resolve(payload)
+    })
+  })
+  
+  try {
+    await waitFor('compile-success')
+    if (!watcher.getWatchedFiles().includes(chapterFile) || !watcher.getWatchedFiles().includes(appendixFile)) {
+      console.log(`❌ Included file is not watched:`, watcher.getWatchedFiles())
+      return false
+    }
+    
+    const restarted = waitFor('compile-start')
+    const rebuilt = waitFor('compile-success')
+    fs.writeFileSync(chapterFile, 'Second version.', 'utf-8')
+    const start = await restarted
+    await rebuilt
+    if (start.file !== chapterFile) {
+      console.log(`❌ Expected recompile for ${chapterFile} but got ${start.file}`)
+      return false
+    }
+    
+    // A file pulled in by \input without braces
+    const appendixRestarted = waitFor('compile-start')
+    const appendixRebuilt = waitFor('compile-success')
+    fs.writeFileSync(appendixFile, 'Second appendix.', 'utf-8')
+    const appendixStart = await appendixRestarted
+    await appendixRebuilt
+    if (appendixStart.file !== appendixFile) {
+      console.log(`❌ Expected recompile for ${appendixFile} but got ${appendixStart.file}`)
+      return false
+    }
+    
+    console.log(`✅ Recompiled after an included file changed`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  } finally {
+    watcher.close()
+  }
+}
+
+async function testCli () {
+  console.log('\n💻 Test: Command-line interface')
+  
+  const { spawnSync } = require('child_process')
+  const cliPath = path.join(__dirname, '..', 'cli.js')
+  const testDir = path.join(__dirname, '..', 'test-output', 'cli')
+  fs.mkdirSync(testDir, { recursive: true })
+  const texFile = path.join(testDir, 'cli.tex')
+  const errorFile = path.join(testDir, 'cli-error.tex')
+  fs.writeFileSync(texFile, TEST_TEX, 'utf-8')
+  fs.writeFileSync(errorFile, TEST_TEX_ERROR, 'utf-8')
+  
+  const runCli = (args, input) => spawnSync(process.execPath, [cliPath].concat(args), {
+    input: input,
+    encoding: 'utf-8'
+  })
+  
+  const checks = [
+    { name: 'compile', result: runCli(['compile', texFile, '--outdir', testDir]), exitCode: 0 },
+    { name: 'compile --stdin --json', result: runCli(['compile', '--stdin', '--json', '-o', path.join(testDir, 'stdin.pdf')], TEST_TEX), exitCode: 0 },
+    { name: 'compile failure', result: runCli(['compile', errorFile, '--outdir', testDir]), exitCode: 1 },
+    { name: 'bad usage', result: runCli(['compile']), exitCode: 2 },
+    { name: 'unknown option', result: runCli(['compile', texFile, '--nope']), exitCode: 2 },
+    { name: 'which', result: runCli(['which']), exitCode: 0 },
+    { name: 'doctor', result: runCli(['doctor', '--no-smoke-test']), exitCode: 0 },
+    { name: 'version', result: runCli(['version']), exitCode: 0 }
+  ]
+  
+  for (const check of checks) {
+    if (check.result.status !== check.exitCode) {
+      console.log(`❌ ${check.name}: expected exit code ${check.exitCode} but got ${check.result.status}`)
+      console.log(`   ${check.result.stderr}`)
+      return false
+    }
+  }
+  
+  const json = JSON.parse(checks[1].result.stdout)
+  if (json.status !== 'success' || !fs.existsSync(json.pdfPath)) {
+    console.log(`❌ Unexpected --json output:`, json)
+    return false
+  }
+  
+  console.log(`✅ CLI commands and exit codes work`)
+  return true
+}
+
+async function testHttpServer () {
+  console.log('\n🌐 Test: HTTP compile service')
+  
+  const http = require('http')
+  const server = createServer({ maxBodyBytes: 64 * 1024, maxConcurrent: 1 })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const port = server.address().port
+  
+  const request = (method, urlPath, headers, body) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, (res) => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }))
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+  
+  try {
+    const health = await request('GET', '/health')
+    const healthBody = JSON.parse(health.body)
+    if (health.statusCode !== 200 || !healthBody.available || healthBody.pool.maxQueue !== null || healthBody.pool.maxConcurrent !== 1) {
+      console.log(`❌ Health check failed: ${health.statusCode} ${health.body}`)
+      return false
+    }
+    
+    const ok = await request('POST', '/compile', { 'Content-Type': 'application/json' }, JSON.stringify({
+      tex: TEST_TEX,
+      files: { 'notes.txt': Buffer.from('aux').toString('base64') }
+    }))
+    if (ok.statusCode !== 200 || ok.headers['content-type'] !== 'application/pdf' || ok.body.slice(0, 4).toString() !== '%PDF') {
+      console.log(`❌ JSON compile failed: ${ok.statusCode} ${ok.body}`)
+      return false
+    }
+    
+    const boundary = '----node-latex-compiler-test'
+    const multipart = [
+      `--${boundary}\r\nContent-Disposition: form-data; name="tex"\r\n\r\n${TEST_TEX}\r\n`,
+      `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="notes.txt"\r\nContent-Type: text/plain\r\n\r\naux\r\n`,
+      `--${boundary}--\r\n`
+    ].join('')
+    const multi = await request('POST', '/compile', { 'Content-Type': `multipart/form-data; boundary=${boundary}` }, multipart)
+    if (multi.statusCode !== 200 || multi.body.slice(0, 4).toString() !== '%PDF') {
+      console.log(`❌ Multipart compile failed: ${multi.statusCode} ${multi.body}`)
+      return false
+    }
+    
+    const failed = await request('POST', '/compile', { 'Content-Type': 'application/json' }, JSON.stringify({ tex: TEST_TEX_ERROR }))
+    const failedBody = JSON.parse(failed.body)
+    if (failed.statusCode !== 422 || !Array.isArray(failedBody.diagnostics) || failedBody.diagnostics.length === 0) {
+      console.log(`❌ Expected 422 with diagnostics but got ${failed.statusCode} ${failed.body}`)
+      return false
+    }
+    if (failedBody.diagnostics.some(d => d.context !== null)) {
+      console.log(`❌ Diagnostics should be sent without source context:`, failedBody.diagnostics)
+      return false
+    }
+    
+    const escaping = await request('POST', '/compile', { 'Content-Type': 'application/json' }, JSON.stringify({
+      tex: '\\documentclass{article}\n\\begin{document}\n\\input{/etc/passwd}\n\\end{document}'
+    }))
+    if (escaping.statusCode !== 422 || !JSON.parse(escaping.body).error.includes('Sandbox policy violation')) {
+      console.log(`❌ Requests should be compiled in sandbox mode: ${escaping.statusCode} ${escaping.body}`)
+      return false
+    }
+    
+    const tooLarge = await request('POST', '/compile', { 'Content-Type': 'application/json' }, JSON.stringify({ tex: 'x'.repeat(128 * 1024) }))
+    if (tooLarge.statusCode !== 413) {
+      console.log(`❌ Expected 413 but got ${tooLarge.statusCode}`)
+      return false
+    }
+    
+    console.log(`✅ HTTP service compiles, reports diagnostics and enforces limits`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  } finally {
+    await new Promise(resolve => server.close(resolve))
+  }
+}
+
+async function testTectonicOptions () {
+  console.log('\n🎛️  Test: Tectonic option passthrough')
+  
+  const testDir = path.join(__dirname, '..', 'test-output', 'options')
+  fs.mkdirSync(testDir, { recursive: true })
+  
+  try {
+    const result = await compile({
+      tex: TEST_TEX,
+      outputFile: path.join(testDir, 'options.pdf'),
+      keepLogs: true,
+      synctex: true,
+      reruns: 1,
+      unstable: { paperSize: 'a4' }
+    })
+    
+    if (result.status !== 'success') {
+      console.log(`❌ Compilation failed:`, result)
+      return false
+    }
+    if (result.logPath !== path.join(testDir, 'options.log') || !fs.existsSync(result.logPath)) {
+      console.log(`❌ Log file not kept: ${result.logPath}`)
+      return false
+    }
+    if (result.synctexPath !== path.join(testDir, 'options.synctex.gz') || !fs.existsSync(result.synctexPath)) {
+      console.log(`❌ SyncTeX file not kept: ${result.synctexPath}`)
+      return false
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+  
+  const invalidConfigs = [
+    { reruns: -1 },
+    { keepLogs: 'yes' },
+    { bundle: path.join(testDir, 'missing-bundle.tar') },
+    { bundle: __filename, webBundle: 'https://example.com/bundle.tar' },
+    { unstable: { notAnOption: true } },
+    // Shell escape only runs through the shellEscape allowlist
+    { unstable: { shellEscape: true } },
+    { unstable: { shellEscapeCwd: testDir } }
+  ]
+  for (const invalid of invalidConfigs) {
+    try {
+      await compile(Object.assign({ tex: TEST_TEX, returnBuffer: true }, invalid))
+      console.log(`❌ Expected ${JSON.stringify(invalid)} to be rejected`)
+      return false
+    } catch (error) {
+      // Expected
+    }
+  }
+  
+  console.log(`✅ Options are validated and passed to Tectonic`)
+  return true
+}
+
+async function testOutputFormats () {
+  console.log('\n🧾 Test: Non-PDF output formats')
+  
+  const testDir = path.join(__dirname, '..', 'test-output', 'formats')
+  fs.mkdirSync(testDir, { recursive: true })
+  
+  try {
+    const xdv = await compile({ tex: TEST_TEX, outputFormat: 'xdv', returnBuffer: true })
+    if (xdv.status !== 'success' || !xdv.artifacts || !xdv.artifacts.xdv || !xdv.artifacts.xdv.buffer) {
+      console.log(`❌ XDV compilation failed:`, xdv)
+      return false
+    }
+    if (xdv.pdfBuffer) {
+      console.log(`❌ XDV compilation should not return a PDF`)
+      return false
+    }
+    
+    const aux = await compile({ tex: TEST_TEX, outputFormat: 'aux', outputFile: path.join(testDir, 'doc.aux') })
+    if (aux.status !== 'success' || aux.artifacts.aux.path !== path.join(testDir, 'doc.aux') || !fs.existsSync(aux.artifacts.aux.path)) {
+      console.log(`❌ AUX compilation failed:`, aux)
+      return false
+    }
+    
+    const pdf = await compile({ tex: TEST_TEX, returnBuffer: true })
+    if (!pdf.artifacts.pdf.buffer.equals(pdf.pdfBuffer)) {
+      console.log(`❌ PDF artifact does not match pdfBuffer`)
+      return false
+    }
+    
+    console.log(`✅ Output formats returned as artifacts`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testSynctexParsing () {
+  console.log('\n🎯 Test: SyncTeX forward/inverse search')
+  
+  // 4736286sp = 72pt, 6578176sp = 100pt, 13156352sp = 200pt
+  const SAMPLE = [
+    'SyncTeX Version:1',
+    'Input:1:<input>',
+    'Input:2:chapters/intro.tex',
+    'Output:pdf',
+    'Magnification:1000',
+    'Unit:1',
+    'X Offset:0',
+    'Y Offset:0',
+    'Content:',
+    '!100',
+    '{1',
+    '[1,1:4736286,4736286:30000000,40000000,0',
+    '(1,3:4736286,6578176:20000000,655360,131072',
+    'x1,3:4736286,6578176',
+    'g1,3:9472572,6578176',
+    ')',
+    '(2,5:4736286,13156352:20000000,655360,131072',
+    'x2,5:4736286,13156352',
+    ')',
+    ']',
+    '}1',
+    'Postamble:'
+  ].join('\n')
+  
+  try {
+    const sync = synctex.load(require('zlib').gzipSync(SAMPLE))
+    const forward = sync.forward('<input>', 3)
+    if (!forward || forward.page !== 1 || Math.round(forward.x) !== 72 || Math.round(forward.y + forward.h) !== 102) {
+      console.log(`❌ Unexpected forward result:`, forward)
+      return false
+    }
+    const included = sync.forward('intro.tex', 5)
+    if (!included || Math.round(included.y) !== 190) {
+      console.log(`❌ Unexpected forward result for included file:`, included)
+      return false
+    }
+    const inverse = sync.inverse(1, 100, 199)
+    if (!inverse || inverse.file !== 'chapters/intro.tex' || inverse.line !== 5) {
+      console.log(`❌ Unexpected inverse result:`, inverse)
+      return false
+    }
+    
+    console.log(`✅ SyncTeX parsed`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testSynctex () {
+  console.log('\n🎯 Test: SyncTeX output')
+  
+  try {
+    const result = await compile({ tex: TEST_TEX, synctex: true, returnBuffer: true })
+    if (result.status !== 'success' || !result.synctexBuffer) {
+      console.log(`❌ SyncTeX data not returned:`, result)
+      return false
+    }
+    const names = Object.values(synctex.load(result.synctexBuffer).inputs)
+    if (!names.includes('<input>') || names.some(name => name.includes('__temp_compile_'))) {
+      console.log(`❌ Temporary file names not rewritten:`, names)
+      return false
+    }
+    
+    console.log(`✅ SyncTeX returned with temp paths rewritten`)
+    return true
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+}
+
+async function testSandboxScan () {
+  console.log('\n🛡️  Test: Sandbox source scan')
+  
+  const refused = [
+    '\\def\\x{/etc/passwd}\\input\\x',
+    '\\InputIfFileExists{/etc/passwd}{}{}',
+    '\\lstinputlisting{/etc/passwd}',
+    '\\verbatiminput{/etc/passwd}',
+    '\\includegraphics[width=2cm]{/etc/x.png}',
+    '\\input{^^2fetc/passwd}',
+    '\\csname input\\endcsname{/etc/passwd}',
+    '\\let\\o=\\openin \\o5=/etc/passwd',
+    '\\graphicspath{{../}}',
+    '\\verb|%|\\input{/etc/passwd}'
+  ]
+  for (const tex of refused) {
+    if (checkSandboxPolicy({ tex }).length === 0) {
+      console.log(`❌ Not refused: ${tex}`)
+      return false
+    }
+  }
+  
+  // \input reads files of any extension, so every text file is scanned
+  const fromFiles = checkSandboxPolicy({ tex: '\\input{notes.txt}', files: { 'notes.txt': '\\input{/etc/passwd}' } })
+  if (fromFiles.length !== 1 || fromFiles[0].file !== 'notes.txt') {
+    console.log(`❌ Text files in files should be scanned:`, fromFiles)
+    return false
+  }
+  
+  const allowed = '\\documentclass{article}\n\\usepackage[utf8]{inputenc}\n\\usepackage{graphicx}\n' +
+    '\\begin{document}\n\\input{chapter}\n\\includegraphics[width=3cm]{figures/logo.png}\n\\end{document}'
+  const violations = checkSandboxPolicy({ tex: allowed })
+  if (violations.length !== 0) {
+    console.log(`❌ Ordinary document refused:`, violations)
+    return false
+  }
+  
+  // texFile: files pulled in without braces, and every other text file next to it, are scanned too
+  const projectDir = path.join(__dirname, '..', 'test-output', 'sandbox-scan')
+  fs.rmSync(projectDir, { recursive: true, force: true })
+  fs.mkdirSync(projectDir, { recursive: true })
+  const mainFile = path.join(projectDir, 'main.tex')
+  fs.writeFileSync(mainFile, '\\documentclass{article}\n\\begin{document}\n\\input chapter\n\\end{document}')
+  fs.writeFileSync(path.join(projectDir, 'chapter.tex'), '\\input{/etc/passwd}\n')
+  fs.writeFileSync(path.join(projectDir, 'notes.txt'), '\\input{/etc/hostname}\n')
+  const fileViolations = checkSandboxPolicy({ texFile: mainFile }).map(v => `${v.rule}:${v.file}`).sort()
+  if (fileViolations.join(',') !== 'absolute-path:chapter.tex,absolute-path:notes.txt') {
+    console.log(`❌ Unexpected violations for texFile input:`, fileViolations)
+    return false
+  }
+  
+  console.log(`✅ ${refused.length} ways to reach files outside the workspace are refused`)
+  return true
+}
+
+async function testSandbox () {
+  console.log('\n🛡️  Test: Sandbox mode')
+  
+  try {
+    const result = await compile({ tex: TEST_TEX, sandbox: true, returnBuffer: true })
+    if (result.status !== 'success') {
+      console.log(`❌ Sandboxed compilation failed:`, result)
+      return false
+    }
+    
+    const blocked = await compile({
+      tex: '\\documentclass{article}\n\\begin{document}\n\\input{/etc/passwd}\n\\input{chapter}\n\\end{document}',
+      files: { 'chapter.tex': '\\immediate\\openout\\out=../escape.txt\n' },
+      sandbox: true,
+      returnBuffer: true
+    })
+    const rules = (blocked.violations || []).map(v => `${v.rule}:${v.file}:${v.line}`)
+    if (blocked.status !== 'failed' || rules.join(',') !== 'absolute-path:<input>:3,parent-path:chapter.tex:1') {
+      console.log(`❌ Unexpected violations:`, blocked.violations)
+      return false
+    }
+    
+    // shellEscape itself is rejected on Windows
+    if (process.platform !== 'win32') {
+      const shellEscape = await compile({ tex: TEST_TEX, sandbox: true, shellEscape: { enabled: true }, returnBuffer: true })
+      if (shellEscape.status !== 'failed' || !shellEscape.violations || shellEscape.violations[0].rule !== 'shell-escape') {
+        console.log(`❌ Shell escape not refused:`, shellEscape)
+        return false
+      }
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+  
+  try {
+    await compile({ tex: TEST_TEX, sandbox: 'yes', returnBuffer: true })
+    console.log(`❌ Expected a non-boolean sandbox option to be rejected`)
+    return false
+  } catch (error) {
+    // Expected
+  }
+  
+  console.log(`✅ Untrusted paths and shell escape refused in sandbox mode`)
+  return true
+}
+
+async function testShellEscapeParsing () {
+  console.log('\n🐚 Test: Shell escape command parsing and invocation log')
+  
+  const parsed = parseCommandLine(`echo 'a b' "c" > out.txt`)
+  if (JSON.stringify(parsed) !== JSON.stringify({ argv: ['echo', 'a b', 'c'], stdout: 'out.txt', stderr: null, append: false })) {
+    console.log(`❌ Unexpected parse:`, parsed)
+    return false
+  }
+  for (const commandLine of ['echo a; rm x', 'cat $(ls)', 'echo > /tmp/x', 'echo > ../x']) {
+    if (!parseCommandLine(commandLine).error) {
+      console.log(`❌ Should be refused: ${commandLine}`)
+      return false
+    }
+  }
+  
+  // A wrapper killed mid-write leaves a partial last line
+  const logDir = path.join(__dirname, '..', 'test-output', 'shell-escape-log')
+  fs.mkdirSync(logDir, { recursive: true })
+  const logPath = path.join(logDir, 'invocations.jsonl')
+  fs.writeFileSync(logPath, JSON.stringify({ commandLine: 'echo a', command: 'echo', allowed: true, exitCode: 0 }) + '\n{"commandLine":"ech')
+  const invocations = readInvocations(logPath)
+  if (invocations.length !== 1 || invocations[0].command !== 'echo') {
+    console.log(`❌ Partial log line not skipped:`, invocations)
+    return false
+  }
+  
+  console.log(`✅ Command lines parsed and partial log lines skipped`)
+  return true
+}
+
+async function testShellEscape () {
+  console.log('\n🐚 Test: Shell escape allowlist')
+  
+  const testDir = path.join(__dirname, '..', 'test-output', 'shell-escape')
+  fs.rmSync(testDir, { recursive: true, force: true })
+  fs.mkdirSync(testDir, { recursive: true })
   
   try {
     const result = await compile({
-      tex: TEST_TEX,
-      returnBuffer: true,
-      onStdout: (data) => {
-        stdoutReceived = true
-        console.log(`   [stdout] ${data.trim()}`)
-      },
-      onStderr: (data) => {
-        stderrReceived = true
-        console.log(`   [stderr] ${data.trim()}`)
-      }
+      tex: '\\documentclass{article}\n\\begin{document}\n' +
+        '\\immediate\\write18{echo allowed > allowed.txt}\n' +
+        '\\immediate\\write18{touch refused.txt}\n' +
+        '\\immediate\\write18{echo chained; touch chained.txt}\n' +
+        'Shell escape\n\\end{document}',
+      shellEscape: { enabled: true, allowedCommands: ['echo'], cwd: testDir },
+      returnBuffer: true
     })
     
-    if (result.status === 'success') {
-      console.log(`✅ Callbacks working`)
-      console.log(`   stdout received: ${stdoutReceived}`)
-      console.log(`   stderr received: ${stderrReceived}`)
-      return true
-    } else {
-      console.log(`❌ Compilation failed`)
+    if (result.status !== 'success') {
+      console.log(`❌ Compilation failed:`, result)
+      return false
+    }
+    const invocations = (result.shellEscapeInvocations || []).map(i => `${i.command}:${i.allowed}:${i.exitCode}`)
+    if (invocations.join(',') !== 'echo:true:0,touch:false:127,null:false:127') {
+      console.log(`❌ Unexpected invocations:`, result.shellEscapeInvocations)
+      return false
+    }
+    if (!fs.existsSync(path.join(testDir, 'allowed.txt')) || fs.existsSync(path.join(testDir, 'refused.txt')) || fs.existsSync(path.join(testDir, 'chained.txt'))) {
+      console.log(`❌ Allowlist not enforced:`, fs.readdirSync(testDir))
       return false
     }
   } catch (error) {
     console.log(`❌ Error: ${error.message}`)
     return false
   }
+  
+  try {
+    await compile({ tex: TEST_TEX, shellEscape: { enabled: true, allowedCommands: ['no-such-command-xyz'] }, returnBuffer: true })
+    console.log(`❌ Expected an unknown allowed command to be rejected`)
+    return false
+  } catch (error) {
+    // Expected
+  }
+  
+  console.log(`✅ Only allowed commands ran and every invocation was recorded`)
+  return true
 }
 
-async function testErrorHandling () {
-  console.log('\n⚠️  Test 5: Error handling')
+async function testPackageCacheOptions () {
+  console.log('\n📦 Test: Package cache and missing packages')
+  
+  const cacheDir = path.join(__dirname, '..', 'test-output', 'tectonic-cache')
+  fs.rmSync(cacheDir, { recursive: true, force: true })
   
   try {
-    const result = await compile({
-      tex: TEST_TEX_ERROR,
+    const compiler = createCompiler({ cacheDir })
+    const result = await compiler.compile({
+      tex: '\\documentclass{article}\n\\usepackage{no-such-package-xyz}\n\\begin{document}\nMissing\n\\end{document}',
       returnBuffer: true
     })
     
-    if (result.status === 'failed') {
-      console.log(`✅ Error handling works`)
-      console.log(`   Exit code: ${result.exitCode}`)
-      if (result.stderr) {
-        console.log(`   Error output captured: ${result.stderr.length} chars`)
+    if (!fs.existsSync(cacheDir)) {
+      console.log(`❌ Cache directory not created: ${cacheDir}`)
+      return false
+    }
+    if (result.status !== 'failed' || !(result.missingFiles || []).includes('no-such-package-xyz.sty')) {
+      console.log(`❌ Missing package not reported:`, result.status, result.missingFiles, result.error)
+      return false
+    }
+    if (!result.error.includes('no-such-package-xyz.sty')) {
+      console.log(`❌ Error does not name the missing package: ${result.error}`)
+      return false
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+  
+  console.log(`✅ Missing package reported by name`)
+  return true
+}
+
+async function testTomlParsing () {
+  console.log('\n📚 Test: Tectonic.toml parsing')
+  
+  const parsed = toml.parse([
+    '[doc]',
+    'name = "thesis" # comment',
+    "bundle = 'https://example.com/bundle.tar'",
+    'extra_paths = ["chapters", "figures"]',
+    '',
+    '[[output]]',
+    'name = "default"',
+    'type = "pdf"',
+    'shell_escape = false',
+    '',
+    '[[output]]',
+    'name = "web"',
+    'type = "html"',
+    'tex_format = { name = "latex", reruns = 2 }'
+  ].join('\n'))
+  if (parsed.doc.name !== 'thesis' || parsed.doc.extra_paths.join() !== 'chapters,figures' ||
+    parsed.output.length !== 2 || parsed.output[1].tex_format.reruns !== 2 || parsed.output[0].shell_escape !== false) {
+    console.log(`❌ Unexpected parse:`, JSON.stringify(parsed))
+    return false
+  }
+  
+  // Keys never reach Object.prototype
+  const hostile = toml.parse('[__proto__]\npolluted = true\n[doc]\n__proto__.polluted = true\nconstructor = "x"\n')
+  if (({}).polluted !== undefined || hostile.__proto__.polluted !== true || hostile.doc.constructor !== 'x') {
+    console.log(`❌ __proto__ keys were not kept as ordinary keys`)
+    return false
+  }
+  
+  // A line-ending backslash skips whitespace only, not what looks like a comment
+  const multiline = toml.parse('text = """\nfirst \\\n  # not a comment"""\n')
+  if (multiline.text !== 'first # not a comment') {
+    console.log(`❌ Unexpected multi-line string: ${JSON.stringify(multiline.text)}`)
+    return false
+  }
+  
+  try {
+    toml.parse('[doc]\nname = "unterminated\n')
+    console.log(`❌ Expected invalid TOML to be rejected`)
+    return false
+  } catch (error) {
+    if (!/line 2/.test(error.message)) {
+      console.log(`❌ Error should name the line: ${error.message}`)
+      return false
+    }
+  }
+  
+  console.log(`✅ Tables, arrays of tables and inline tables parsed`)
+  return true
+}
+
+async function testWorkspaceBuild () {
+  console.log('\n📚 Test: Tectonic.toml workspace build')
+  
+  const projectDir = path.join(__dirname, '..', 'test-output', 'workspace', 'book')
+  fs.rmSync(projectDir, { recursive: true, force: true })
+  
+  try {
+    const compiler = createCompiler()
+    const created = await compiler.newProject(projectDir)
+    if (created.status !== 'success' || !fs.existsSync(path.join(projectDir, 'Tectonic.toml'))) {
+      console.log(`❌ newProject failed:`, created)
+      return false
+    }
+    
+    const result = await compiler.build({ projectDir })
+    const outputNames = Object.keys(result.outputs)
+    if (result.status !== 'success' || outputNames.length === 0) {
+      console.log(`❌ Build failed:`, result)
+      return false
+    }
+    for (const name of outputNames) {
+      const output = result.outputs[name]
+      const artifact = output.artifacts[output.type]
+      if (output.status !== 'success' || !artifact || !fs.existsSync(artifact.path)) {
+        console.log(`❌ Output "${name}" has no artifact:`, output)
+        return false
       }
-      return true
-    } else {
-      console.log(`❌ Expected failure but got success`)
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+  
+  try {
+    await createCompiler().build({ projectDir, outputs: ['no-such-output'] })
+    console.log(`❌ Expected an unknown output to be rejected`)
+    return false
+  } catch (error) {
+    // Expected
+  }
+  
+  const brokenDir = path.join(projectDir, '..', 'broken')
+  fs.mkdirSync(brokenDir, { recursive: true })
+  fs.writeFileSync(path.join(brokenDir, 'Tectonic.toml'), '[doc\nname = "broken"\n')
+  try {
+    await createCompiler().build({ projectDir: brokenDir })
+    console.log(`❌ Expected a malformed Tectonic.toml to be rejected`)
+    return false
+  } catch (error) {
+    if (!(error instanceof InvalidConfigError)) {
+      console.log(`❌ Expected an InvalidConfigError for a malformed Tectonic.toml: ${error.message}`)
+      return false
+    }
+  }
+  
+  console.log(`✅ Workspace created and every output built`)
+  return true
+}
+
+async function testBiber () {
+  console.log('\n📖 Test: biblatex/biber orchestration')
+  
+  const testDir = path.join(__dirname, '..', 'test-output', 'biber')
+  fs.rmSync(testDir, { recursive: true, force: true })
+  fs.mkdirSync(testDir, { recursive: true })
+  
+  // Stand-in biber: looks for files like biber does (input directory, then the current one),
+  // writes an empty bibliography and reports one warning per run
+  const biberPath = path.join(testDir, 'biber')
+  const runsPath = path.join(testDir, 'runs.txt')
+  fs.writeFileSync(biberPath, `#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+const args = process.argv.slice(2)
+const option = name => args.includes(name) ? args[args.indexOf(name) + 1] : null
+const job = args[args.length - 1]
+const locate = name => [option('--input-directory'), '.'].filter(Boolean).map(dir => path.join(dir, name)).find(file => fs.existsSync(file))
+if (!locate(job + '.bcf')) { console.log('ERROR - Cannot find control file ' + job + '.bcf'); process.exit(2) }
+if (!locate('refs.bib')) { console.log("ERROR - Cannot find 'refs.bib'!"); process.exit(2) }
+fs.appendFileSync(${JSON.stringify(runsPath)}, 'run\\n')
+fs.writeFileSync(path.join(option('--output-directory') || '.', job + '.bbl'), [
+  '% $ biblatex auxiliary file $',
+  '% $ biblatex bbl format version 3.2 $',
+  '% Do not modify the above lines!',
+  '\\\\begingroup',
+  '\\\\makeatletter',
+  '\\\\endgroup',
+  '\\\\refsection{0}',
+  '\\\\endrefsection',
+  '\\\\endinput'
+].join('\\n') + '\\n')
+console.log('INFO - This is Biber (stand-in)')
+console.log("WARN - I didn't find a database entry for 'knuth' (section 0)")
+`, { mode: 0o755 })
+  
+  const tex = '\\documentclass{article}\n\\usepackage[backend=biber]{biblatex}\n\\addbibresource{refs.bib}\n' +
+    '\\begin{document}\nSee \\cite{knuth}.\n\\printbibliography\n\\end{document}'
+  
+  try {
+    const result = await compile({ tex, files: { 'refs.bib': '' }, biberPath, returnBuffer: true })
+    if (result.status !== 'success') {
+      console.log(`❌ Compilation failed:`, result.error, result.diagnostics)
+      return false
+    }
+    const runs = fs.existsSync(runsPath) ? fs.readFileSync(runsPath, 'utf-8').trim().split('\n').length : 0
+    if (runs < 1) {
+      console.log(`❌ biber was not run`)
+      return false
+    }
+    const warning = (result.diagnostics || []).find(d => d.message.includes("didn't find a database entry"))
+    if (!warning || warning.severity !== 'warning') {
+      console.log(`❌ biber warning not reported:`, result.diagnostics)
       return false
     }
   } catch (error) {
-    console.log(`✅ Error caught: ${error.message}`)
-    return true
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+  
+  // texFile: biber finds the .bib next to the source
+  try {
+    const projectDir = path.join(testDir, 'project')
+    fs.mkdirSync(projectDir, { recursive: true })
+    fs.writeFileSync(path.join(projectDir, 'thesis.tex'), tex)
+    fs.writeFileSync(path.join(projectDir, 'refs.bib'), '')
+    const result = await compile({ texFile: path.join(projectDir, 'thesis.tex'), biberPath, returnBuffer: true })
+    if (result.status !== 'success') {
+      console.log(`❌ texFile compilation with biber failed:`, result.error, result.diagnostics)
+      return false
+    }
+    if (fs.existsSync(path.join(projectDir, 'thesis.bbl'))) {
+      console.log(`❌ biber wrote its output next to the source`)
+      return false
+    }
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`)
+    return false
+  }
+  
+  try {
+    await compile({ tex, biberPath: path.join(testDir, 'no-such-biber'), returnBuffer: true })
+    console.log(`❌ Expected a missing biberPath to be rejected`)
+    return false
+  } catch (error) {
+    // Expected
+  }
+  
+  // biber is only looked up once a TeX pass writes a .bcf file
+  try {
+    const plain = await compile({ tex: '\\documentclass{article}\n\\begin{document}\nNo bibliography.\n\\end{document}', biberPath: path.join(testDir, 'no-such-biber'), returnBuffer: true })
+    if (plain.status !== 'success') {
+      console.log(`❌ Document without biblatex failed:`, plain.error)
+      return false
+    }
+  } catch (error) {
+    console.log(`❌ biber was resolved for a document without biblatex: ${error.message}`)
+    return false
   }
+  
+  console.log(`✅ biber ran between TeX passes and its warnings were reported`)
+  return true
 }
 
 async function testVersionCheck () {
@@ -216,6 +1626,299 @@ async function testVersionCheck () {
   }
 }
 
+async function testRuntimePackages () {
+  console.log('\n📦 Test: Runtime packages')
+  
+  const { spawnSync } = require('child_process')
+  const expected = [
+    ['win32', 'x64', undefined, '@node-latex-compiler/bin-win32-x64'],
+    ['win32', 'arm64', undefined, '@node-latex-compiler/bin-win32-arm64'],
+    ['darwin', 'arm64', undefined, '@node-latex-compiler/bin-darwin-arm64'],
+    ['linux', 'x64', 'glibc', '@node-latex-compiler/bin-linux-x64'],
+    ['linux', 'arm64', 'glibc', '@node-latex-compiler/bin-linux-arm64'],
+    ['linux', 'x64', 'musl', '@node-latex-compiler/bin-linux-x64-musl'],
+    ['linux', 'arm64', 'musl', '@node-latex-compiler/bin-linux-arm64'],
+    ['linux', 'ia32', 'glibc', null]
+  ]
+  for (const [platform, arch, libc, name] of expected) {
+    const actual = platformResolver.getRuntimePackageName(platform, arch, libc)
+    if (actual !== name) {
+      console.log(`❌ ${platform} ${arch} ${libc || ''}: expected ${name} but got ${actual}`)
+      return false
+    }
+  }
+  
+  const libc = platformResolver.detectLibc()
+  if (process.platform === 'linux' ? !['glibc', 'musl'].includes(libc) : libc !== null) {
+    console.log(`❌ Unexpected libc: ${libc}`)
+    return false
+  }
+  
+  const outDir = path.join(__dirname, '..', 'test-output', 'runtime-package')
+  const result = spawnSync(process.execPath, [
+    path.join(__dirname, 'create-runtime-package-json.js'), 'linux', 'x86_64', '1.2.3', outDir, '--libc', 'musl'
+  ], { encoding: 'utf-8' })
+  if (result.status !== 0) {
+    console.log(`❌ create-runtime-package-json.js failed: ${result.stderr}`)
+    return false
+  }
+  const pkg = JSON.parse(fs.readFileSync(path.join(outDir, 'package.json'), 'utf-8'))
+  if (pkg.name !== '@node-latex-compiler/bin-linux-x64-musl' || pkg.cpu[0] !== 'x64' || pkg.libc[0] !== 'musl') {
+    console.log(`❌ Unexpected runtime package.json:`, pkg)
+    return false
+  }
+  
+  // The static arm64 build installs on glibc and musl alike
+  const armDir = path.join(outDir, '..', 'runtime-package-arm64')
+  const armResult = spawnSync(process.execPath, [
+    path.join(__dirname, 'create-runtime-package-json.js'), 'linux', 'aarch64', '1.2.3', armDir
+  ], { encoding: 'utf-8' })
+  const armPkg = armResult.status === 0 ? JSON.parse(fs.readFileSync(path.join(armDir, 'package.json'), 'utf-8')) : null
+  if (!armPkg || armPkg.name !== '@node-latex-compiler/bin-linux-arm64' || armPkg.libc !== undefined) {
+    console.log(`❌ Unexpected arm64 runtime package.json:`, armPkg || armResult.stderr)
+    return false
+  }
+  
+  console.log(`✅ Runtime packages resolve for every platform (libc: ${libc || 'n/a'})`)
+  return true
+}
+
+async function testBinaryResolution () {
+  console.log('\n🧭 Test: Binary resolution strategies')
+  
+  const testDir = path.join(__dirname, '..', 'test-output', 'resolution')
+  fs.mkdirSync(testDir, { recursive: true })
+  // Resolution only checks that the file exists, so placeholders will do
+  const optionBinary = path.join(testDir, 'option-tectonic')
+  const envBinary = path.join(testDir, 'env-tectonic')
+  const customBinary = path.join(testDir, 'custom-tectonic')
+  const missing = path.join(testDir, 'missing-tectonic')
+  for (const file of [optionBinary, envBinary, customBinary]) {
+    fs.writeFileSync(file, '')
+  }
+  const realBinary = platformResolver.resolveTectonicExecutable({})
+  const savedEnv = process.env.TECTONIC_PATH
+  
+  try {
+    process.env.TECTONIC_PATH = envBinary
+    const resolve = options => platformResolver.resolveTectonicExecutable(options)
+    const checks = [
+      ['option before env by default', resolve({ tectonicPath: optionBinary }), optionBinary],
+      ['TECTONIC_PATH', resolve({}), envBinary],
+      ['env before option', resolve({ tectonicPath: optionBinary, resolution: ['env', 'option'] }), envBinary],
+      ['missing path falls through', resolve({ tectonicPath: missing, resolution: ['option', 'path', 'bundled'] }), realBinary],
+      ['resolver function', resolve({ resolution: [() => customBinary] }), customBinary]
+    ]
+    
+    registerResolver('artifact-cache', () => customBinary)
+    checks.push(['registered resolver', resolve({ resolution: ['artifact-cache', 'option'], tectonicPath: optionBinary }), customBinary])
+    delete process.env.TECTONIC_PATH
+    checks.push(['registered resolvers run last', resolve({ resolution: undefined }), realBinary || customBinary])
+    
+    for (const [name, actual, expected] of checks) {
+      if (actual !== expected) {
+        console.log(`❌ ${name}: expected ${expected} but got ${actual}`)
+        return false
+      }
+    }
+    
+    try {
+      resolve({ tectonicPath: missing, strict: true })
+      console.log(`❌ strict should throw for a missing tectonicPath`)
+      return false
+    } catch (error) {
+      if (!(error instanceof TectonicNotFoundError) || error.tectonicPath !== missing || error.source !== 'tectonicPath') {
+        console.log(`❌ Unexpected strict error: ${error.name} ${error.message}`)
+        return false
+      }
+    }
+    try {
+      resolve({ resolution: ['option', 'nope'] })
+      console.log(`❌ Unknown strategy should be rejected`)
+      return false
+    } catch (error) {
+      if (!(error instanceof InvalidConfigError) || error.option !== 'resolution') {
+        console.log(`❌ Unexpected error for unknown strategy: ${error.message}`)
+        return false
+      }
+    }
+    
+    const result = await compile({ tex: TEST_TEX, tectonicPath: missing, strict: true, errorMode: 'resolve' })
+    if (result.status !== 'failed' || result.code !== 'TECTONIC_NOT_FOUND') {
+      console.log(`❌ Strict compile should fail with TECTONIC_NOT_FOUND:`, result.code, result.error)
+      return false
+    }
+  } finally {
+    unregisterResolver('artifact-cache')
+    if (savedEnv === undefined) {
+      delete process.env.TECTONIC_PATH
+    } else {
+      process.env.TECTONIC_PATH = savedEnv
+    }
+  }
+  
+  console.log(`✅ option, env, custom resolvers and strict mode resolve as configured`)
+  return true
+}
+
+async function testResolutionCache () {
+  console.log('\n🗃️  Test: Memoized asynchronous binary resolution')
+  
+  const testDir = path.join(__dirname, '..', 'test-output', 'resolution-cache')
+  fs.mkdirSync(testDir, { recursive: true })
+  const placeholder = path.join(testDir, 'tectonic')
+  fs.writeFileSync(placeholder, '')
+  const realBinary = platformResolver.resolveTectonicExecutable({})
+  
+  try {
+    const resolved = await resolveTectonicExecutableAsync()
+    if (resolved !== realBinary) {
+      console.log(`❌ Async resolution found ${resolved}, sync found ${realBinary}`)
+      return false
+    }
+    const fromResolver = await resolveTectonicExecutableAsync({ resolution: [async () => placeholder] })
+    if (fromResolver !== placeholder) {
+      console.log(`❌ Async resolver result not used: ${fromResolver}`)
+      return false
+    }
+    
+    const options = { tectonicPath: placeholder, resolution: ['option', 'path', 'bundled'] }
+    const [first, second] = await Promise.all([resolveTectonicExecutableAsync(options), resolveTectonicExecutableAsync(options)])
+    if (first !== placeholder || second !== placeholder) {
+      console.log(`❌ Expected the placeholder, got ${first} and ${second}`)
+      return false
+    }
+    
+    // The memoized path is kept until invalidate(), even after the file is gone
+    fs.unlinkSync(placeholder)
+    const cached = await resolveTectonicExecutableAsync(options)
+    const compiler = createCompiler(options)
+    const uncached = createCompiler(Object.assign({ resolutionCache: false }, options))
+    if (cached !== placeholder || compiler.tectonicPath !== placeholder || uncached.tectonicPath !== realBinary) {
+      console.log(`❌ Unexpected memoized paths: ${cached}, ${compiler.tectonicPath}, ${uncached.tectonicPath}`)
+      return false
+    }
+    
+    invalidate()
+    const afterInvalidate = await resolveTectonicExecutableAsync(options)
+    if (afterInvalidate !== realBinary || createCompiler(options).tectonicPath !== realBinary) {
+      console.log(`❌ invalidate() should fall back to ${realBinary}, got ${afterInvalidate}`)
+      return false
+    }
+    
+    // Finding nothing is memoized as well, until invalidate()
+    const optionOnly = { tectonicPath: placeholder, resolution: ['option'] }
+    const missing = await resolveTectonicExecutableAsync(optionOnly)
+    fs.writeFileSync(placeholder, '')
+    const stillMissing = [platformResolver.resolveTectonicExecutableCached(optionOnly), await resolveTectonicExecutableAsync(optionOnly)]
+    invalidate()
+    const installed = await resolveTectonicExecutableAsync(optionOnly)
+    if (missing !== null || stillMissing.some(result => result !== null) || installed !== placeholder) {
+      console.log(`❌ Unexpected memoized null results: ${missing}, ${stillMissing.join(', ')}, ${installed}`)
+      return false
+    }
+    
+    if (process.platform !== 'win32') {
+      const binDir = path.join(testDir, 'bin')
+      fs.mkdirSync(binDir, { recursive: true })
+      fs.writeFileSync(path.join(binDir, 'not-executable'), '')
+      fs.writeFileSync(path.join(binDir, 'fake-tool'), '#!/bin/sh\n', { mode: 0o755 })
+      const searchPath = [path.join(testDir, 'missing'), binDir].join(path.delimiter)
+      const found = [
+        platformResolver.findExecutableInPath('fake-tool', searchPath),
+        await platformResolver.findExecutableInPathAsync('fake-tool', searchPath)
+      ]
+      if (found.some(file => file !== path.join(binDir, 'fake-tool')) ||
+        platformResolver.findExecutableInPath('not-executable', searchPath) !== null) {
+        console.log(`❌ Unexpected PATH scan results:`, found)
+        return false
+      }
+    }
+    
+    // On Windows an extensionless file is skipped in favour of a PATHEXT match
+    const winDir = path.join(testDir, 'win-bin')
+    fs.mkdirSync(winDir, { recursive: true })
+    fs.writeFileSync(path.join(winDir, 'win-tool'), '#!/bin/sh\n')
+    fs.writeFileSync(path.join(winDir, 'win-tool.cmd'), '@echo off\r\n')
+    const platformDescriptor = Object.getOwnPropertyDescriptor(process, 'platform')
+    const pathExt = process.env.PATHEXT
+    Object.defineProperty(process, 'platform', { value: 'win32' })
+    process.env.PATHEXT = '.exe;.cmd'
+    let winFound
+    try {
+      winFound = [
+        platformResolver.findExecutableInPath('win-tool', winDir),
+        await platformResolver.findExecutableInPathAsync('win-tool', winDir),
+        platformResolver.findExecutableInPath('win-tool.cmd', winDir)
+      ]
+    } finally {
+      Object.defineProperty(process, 'platform', platformDescriptor)
+      if (pathExt === undefined) {
+        delete process.env.PATHEXT
+      } else {
+        process.env.PATHEXT = pathExt
+      }
+    }
+    if (winFound.some(file => file !== path.join(winDir, 'win-tool.cmd'))) {
+      console.log(`❌ Unexpected Windows PATH scan results:`, winFound)
+      return false
+    }
+  } finally {
+    invalidate()
+  }
+  
+  console.log(`✅ Async and memoized resolution agree, invalidate() resolves again`)
+  return true
+}
+
+async function testDiagnose () {
+  console.log('\n🩺 Test: diagnose()')
+  
+  const missingPath = path.join(__dirname, '..', 'test-output', 'no-such-tectonic')
+  const report = await diagnose({ tectonicPath: missingPath })
+  
+  if (!report.ok || report.smokeTest.status !== 'success') {
+    console.log(`❌ Expected a healthy report:`, report.smokeTest)
+    return false
+  }
+  const first = report.candidates[0]
+  if (first.source !== 'tectonicPath' || first.path !== missingPath || first.exists || first.selected) {
+    console.log(`❌ Unexpected tectonicPath candidate:`, first)
+    return false
+  }
+  const selected = report.candidates.filter(candidate => candidate.selected)
+  if (selected.length !== 1 || selected[0].path !== report.tectonic.path || !selected[0].executable || !selected[0].version) {
+    console.log(`❌ Expected exactly one working selected candidate:`, report.candidates)
+    return false
+  }
+  if (!report.tempDir.writable || !report.cacheDir.path || report.platform.platform !== process.platform) {
+    console.log(`❌ Unexpected directories or platform:`, report.tempDir, report.cacheDir, report.platform)
+    return false
+  }
+  const text = formatDiagnosis(report)
+  if (!text.includes(report.tectonic.path) || !text.includes('does not exist')) {
+    console.log(`❌ Unexpected text report:\n${text}`)
+    return false
+  }
+  
+  
+  // A binary without the execute bit is reported, not made executable
+  if (process.platform !== 'win32') {
+    const plainPath = path.join(__dirname, '..', 'test-output', 'tectonic-not-executable')
+    fs.writeFileSync(plainPath, '#!/bin/sh\n', { mode: 0o644 })
+    fs.chmodSync(plainPath, 0o644)
+    const plainReport = await diagnose({ tectonicPath: plainPath, resolution: ['option'], smokeTest: false })
+    const plain = plainReport.candidates[0]
+    if ((fs.statSync(plainPath).mode & 0o111) !== 0 || !plain.exists || plain.executable || plainReport.ok) {
+      console.log(`❌ diagnose() changed or accepted a binary without the execute bit:`, plain)
+      return false
+    }
+  }
+  
+  console.log(`✅ Report lists ${report.candidates.length} candidates, selected ${selected[0].source}`)
+  return true
+}
+
 async function testCrossDeviceMove () {
   console.log('\n🔄 Test: Cross-device move (EXDEV)')
   const pkgRoot = path.join(__dirname, '..')
@@ -536,22 +2239,60 @@ async function main () {
   console.log('🧪 Running Tectonic Compiler Tests')
   console.log('=====================================')
   
+  const results = []
+  
+  // Tests that do not run Tectonic
+  results.push(await testRuntimePackages())
+  results.push(await testBinaryResolution())
+  results.push(await testResolutionCache())
+  results.push(await testLatexEscaping())
+  results.push(await testDiagnosticsParsing())
+  results.push(await testSynctexParsing())
+  results.push(await testSandboxScan())
+  results.push(await testShellEscapeParsing())
+  results.push(await testTomlParsing())
+  
   // Check if compiler is available
   const isAvail = require('../index').isAvailable()
   if (!isAvail) {
+    console.log(`\n📊 ${results.filter(r => r).length}/${results.length} tests that do not need Tectonic passed`)
     console.error('❌ Tectonic compiler not available')
     console.error('   Please run: npm run download')
     process.exit(1)
   }
   
-  const results = []
-  
   results.push(await testVersionCheck())
+  results.push(await testDiagnose())
   results.push(await testFileCompilation())
   results.push(await testTextCompilation())
   results.push(await testBufferOutput())
+  results.push(await testStreaming())
+  results.push(await testInMemoryFiles())
+  results.push(await testLatexTemplate())
+  results.push(await testConcurrentIsolation())
+  results.push(await testCompilerPool())
+  results.push(await testCompileCache())
+  results.push(await testWatchMode())
+  results.push(await testCli())
+  results.push(await testHttpServer())
   results.push(await testStdoutStderr())
+  results.push(await testProgressEvents())
   results.push(await testErrorHandling())
+  results.push(await testErrorCodes())
+  results.push(await testDiagnostics())
+  results.push(await testTimeoutAndAbort())
+  results.push(await testTectonicOptions())
+  results.push(await testOutputFormats())
+  results.push(await testSynctex())
+  results.push(await testSandbox())
+  results.push(await testPackageCacheOptions())
+  results.push(await testWorkspaceBuild())
+  if (process.platform !== 'win32') {
+    results.push(await testBiber())
+  }
+  if (process.platform !== 'win32') {
+    results.push(await testShellEscape())
+  }
   results.push(await testCrossDeviceMove())
   
   // ENOTDIR error handling tests